@@ -0,0 +1,61 @@
+/**
+ * 自动玩家平衡性测试 (AutoPlayer Balance Report)
+ * 让自动玩家 (AutoPlayer) 把每个关卡用不同的种子各玩 N 次，统计胜率和平均通关时间。
+ *
+ * 用法: node scripts/autoplay.js [runs] [difficulty]
+ *   runs       - 每关模拟的次数（种子 1 ~ runs），默认 10
+ *   difficulty - 难度 easy / normal / hard，默认 normal
+ */
+import { Simulation } from '../src/game/Simulation.js';
+import { AutoPlayer } from '../src/game/AutoPlayer.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../src/game/Viewport.js';
+
+const runs = Number(process.argv[2] || 10);
+const difficulty = process.argv[3] || 'normal';
+const TIME_LIMIT = 600; // 单局最长模拟时间 (秒)
+
+/**
+ * 用指定种子从某一关开始玩一局，直到该关结算
+ * @param {number} level - 关卡编号
+ * @param {number} seed - 随机种子
+ * @returns {Object} {won, time, score}；超时视为失败
+ */
+function playLevel(level, seed) {
+    const sim = new Simulation(WORLD_WIDTH, WORLD_HEIGHT, { seed, difficulty });
+    const player = new AutoPlayer(sim);
+    let result = null;
+    sim.events.on('levelEnded', ({ won, stats }) => {
+        result = { won, time: stats.time, score: stats.score };
+    });
+
+    sim.start(level);
+    let time = 0;
+    while (!result && time < TIME_LIMIT) {
+        player.update(sim.timestep);
+        sim.step(sim.timestep);
+        time += sim.timestep;
+    }
+    return result || { won: false, time, score: sim.score };
+}
+
+const sim = new Simulation(WORLD_WIDTH, WORLD_HEIGHT, { difficulty });
+const levels = sim.levelLoader.levels;
+console.log(`Difficulty ${difficulty}, ${runs} runs per level`);
+console.log('Level  Name                Win rate  Avg clear  Avg score');
+
+levels.forEach((def, i) => {
+    const results = [];
+    for (let seed = 1; seed <= runs; seed++) {
+        results.push(playLevel(i + 1, seed));
+    }
+    const wins = results.filter(r => r.won);
+    const average = (list, key) => list.length > 0 ? list.reduce((sum, r) => sum + r[key], 0) / list.length : 0;
+
+    console.log([
+        String(i + 1).padEnd(6),
+        (def.name || '').padEnd(19),
+        `${Math.round(wins.length / runs * 100)}%`.padStart(8),
+        (wins.length > 0 ? `${average(wins, 'time').toFixed(1)}s` : '-').padStart(10),
+        String(Math.round(average(results, 'score'))).padStart(10)
+    ].join(' '));
+});
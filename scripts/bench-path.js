@@ -0,0 +1,108 @@
+/**
+ * 路径查询性能测试 (Path Query Benchmark)
+ * 对比旧实现（每次线性扫描路径线段、逐个球做碰撞检测）与新实现
+ * （累计长度表二分查找 + 每帧缓存球坐标 + 空间网格粗筛）的每帧耗时。
+ *
+ * 场景：2000 个点的路径，200 个球，每帧 20 个弹射物做碰撞检测，再绘制所有球（只计算坐标）。
+ *
+ * 用法: node scripts/bench-path.js
+ */
+import { Path } from '../src/game/Path.js';
+import { BallChain } from '../src/game/BallChain.js';
+import { Random } from '../src/game/Random.js';
+
+const PATH_POINTS = 2000;
+const BALLS = 200;
+const PROJECTILES = 20;
+const FRAMES = 300;
+
+const path = new Path(1280, 720, { type: 'spiral', coils: 6, steps: PATH_POINTS - 1 });
+const chain = new BallChain(path, { maxBalls: BALLS, rng: new Random(1) });
+chain.balls = [];
+for (let i = 0; i < BALLS; i++) {
+    chain.balls.push(chain.createBall('#ff0055', i * chain.ballRadius * 2));
+}
+
+// 弹射物随机分布在画面中
+const rng = new Random(2);
+const projectiles = [];
+for (let i = 0; i < PROJECTILES; i++) {
+    projectiles.push({ x: rng.next() * 1280, y: rng.next() * 720, radius: 18 });
+}
+
+/**
+ * 旧版 getPointAt：从起点开始线性扫描线段
+ */
+function naiveGetPointAt(p, distance) {
+    let currentDist = 0;
+    for (let i = 0; i < p.segmentLengths.length; i++) {
+        const segLen = p.segmentLengths[i];
+        if (currentDist + segLen >= distance) {
+            const t = (distance - currentDist) / segLen;
+            const p1 = p.points[i];
+            const p2 = p.points[i + 1];
+            return {
+                x: p1.x + (p2.x - p1.x) * t,
+                y: p1.y + (p2.y - p1.y) * t,
+                angle: Math.atan2(p2.y - p1.y, p2.x - p1.x)
+            };
+        }
+        currentDist += segLen;
+    }
+    return p.points[p.points.length - 1];
+}
+
+/**
+ * 旧版每帧工作量：每个弹射物对每个球重新计算坐标，绘制时再计算一次
+ */
+function naiveFrame() {
+    let hits = 0;
+    for (const proj of projectiles) {
+        for (const ball of chain.balls) {
+            const pos = naiveGetPointAt(path, ball.distance);
+            if (Math.hypot(pos.x - proj.x, pos.y - proj.y) < ball.radius + proj.radius) {
+                hits++;
+                break;
+            }
+        }
+    }
+    let sum = 0;
+    for (const ball of chain.balls) {
+        sum += naiveGetPointAt(path, ball.distance).x;
+    }
+    return hits + sum;
+}
+
+/**
+ * 新版每帧工作量：缓存一次坐标并重建网格，碰撞检测走网格，绘制直接读取缓存
+ */
+function fastFrame() {
+    chain.updatePositions();
+    let hits = 0;
+    for (const proj of projectiles) {
+        if (chain.checkCollision(proj)) hits++;
+    }
+    let sum = 0;
+    for (const ball of chain.balls) {
+        sum += ball.x;
+    }
+    return hits + sum;
+}
+
+/**
+ * 运行若干帧并返回平均每帧耗时 (毫秒)
+ */
+function measure(frame) {
+    for (let i = 0; i < 20; i++) frame(); // 预热
+    const start = performance.now();
+    for (let i = 0; i < FRAMES; i++) frame();
+    return (performance.now() - start) / FRAMES;
+}
+
+const naive = measure(naiveFrame);
+const fast = measure(fastFrame);
+
+console.log(`Path: ${path.points.length} points, ${Math.round(path.totalLength)}px; ${BALLS} balls; ${PROJECTILES} projectiles`);
+console.log(`linear scan + brute force: ${naive.toFixed(3)} ms/frame`);
+console.log(`binary search + cache + grid: ${fast.toFixed(3)} ms/frame`);
+console.log(`speedup: ${(naive / fast).toFixed(1)}x`);
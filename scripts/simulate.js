@@ -0,0 +1,70 @@
+/**
+ * 无界面模拟脚本 (Headless Simulation)
+ * 在 Node 中直接运行游戏模拟，不需要浏览器。
+ * 使用简单的策略（瞄准与当前球同色的球）自动游玩，输出每关的结果。
+ *
+ * 用法: node scripts/simulate.js [seed] [levels] [difficulty]
+ *   seed       - 随机种子，默认 1
+ *   levels     - 最多模拟的关卡数，默认 3
+ *   difficulty - 难度 easy / normal / hard，默认 normal
+ */
+import { Simulation } from '../src/game/Simulation.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../src/game/Viewport.js';
+
+const seed = process.argv[2] || '1';
+const maxLevels = Number(process.argv[3] || 3);
+const difficulty = process.argv[4] || 'normal';
+const FRAME = 1 / 60;        // 每次调用 step 的时间
+const FIRE_INTERVAL = 0.5;   // 每隔多少秒发射一次
+const TIME_LIMIT = 600;      // 单关最长模拟时间 (秒)
+
+let outcome = null;
+const sim = new Simulation(WORLD_WIDTH, WORLD_HEIGHT, { seed, difficulty });
+sim.events.on('levelEnded', ({ won }) => { outcome = won ? 'won' : 'lost'; });
+
+/**
+ * 选择瞄准目标：离终点最近、且与当前球同色的球；没有同色球时选择最靠前的球
+ * @returns {Object|null} {x, y}
+ */
+function pickTarget() {
+    let best = null;
+    for (const chain of sim.chains) {
+        for (const ball of chain.balls) {
+            if (ball.distance < 0) continue; // 还没进入轨道
+            const sameColor = ball.color === sim.shooter.currentBall;
+            const progress = ball.distance / chain.path.totalLength;
+            const rank = progress + (sameColor ? 1 : 0);
+            if (!best || rank > best.rank) {
+                best = { rank, ...chain.path.getPointAt(ball.distance) };
+            }
+        }
+    }
+    return best;
+}
+
+sim.start();
+console.log(`Seed ${sim.seed}`);
+
+for (let level = 1; level <= maxLevels; level++) {
+    outcome = null;
+    let time = 0;
+    let fireTimer = 0;
+
+    while (!outcome && time < TIME_LIMIT) {
+        fireTimer += FRAME;
+        if (fireTimer >= FIRE_INTERVAL) {
+            fireTimer = 0;
+            const target = pickTarget();
+            if (target) {
+                sim.applyInput({ type: 'aim', x: target.x, y: target.y });
+                sim.applyInput({ type: 'fire' });
+            }
+        }
+        sim.step(FRAME);
+        time += FRAME;
+    }
+
+    console.log(`Level ${level}: ${outcome || 'timeout'} in ${time.toFixed(1)}s, score ${sim.score}`);
+    if (outcome !== 'won') break;
+    sim.nextLevel();
+}
@@ -0,0 +1,387 @@
+import { getDefaultStorage } from './Storage.js';
+
+const SETTINGS_KEY = 'zuma-odyssey.audio';
+const DEFAULT_SETTINGS = { master: 0.8, sfx: 1, music: 0.5, muted: false };
+
+// 调度器：每隔 TICK 毫秒把未来 LOOKAHEAD 秒内的音乐和警报节拍交给 WebAudio 定时播放
+const TICK = 250;
+const LOOKAHEAD = 1;
+
+// 背景音乐：Am - F - C - G 循环，每个和弦 BAR 秒，和弦上方是八分音符的琶音
+const BAR = 4;
+const CHORDS = [
+    [220.00, 261.63, 329.63],
+    [174.61, 220.00, 261.63],
+    [130.81, 164.81, 196.00],
+    [196.00, 246.94, 293.66]
+];
+const ARPEGGIO = [0, 1, 2, 1, 2, 0, 1, 2];
+
+// 危险警报（球链接近骷髅头）的心跳间隔 (秒)
+const DANGER_BEAT = 0.7;
+
+/**
+ * 音频管理类 (AudioManager Class)
+ * 基于 WebAudio 实时合成所有音效和背景音乐，不需要任何音频文件。
+ * 信号链：音效 / 音乐 -> 各自的音量节点 -> 总音量节点 -> 扬声器。
+ * 浏览器的自动播放策略要求在用户操作（点击）中创建或恢复音频上下文，
+ * 因此在调用 unlock() 之前所有播放方法都不会发声。
+ */
+export class AudioManager {
+    /**
+     * 初始化音频管理器（此时尚未创建音频上下文）
+     * @param {Storage} storage - 保存音量设置的存储对象（见 Storage.js），默认为 localStorage
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.settings = this.loadSettings();
+        this.ctx = null;          // AudioContext，unlock 时创建
+        this.timer = null;        // 调度器定时器
+        this.nextBarTime = 0;     // 下一个和弦的开始时间
+        this.barIndex = 0;        // 下一个和弦在 CHORDS 中的索引
+        this.danger = false;      // 是否正在播放危险警报
+        this.nextBeatTime = 0;    // 下一次警报心跳的时间
+        this.noiseBuffer = null;  // 白噪声缓冲区（撞击声）
+    }
+
+    /**
+     * 创建并启动音频上下文，开始播放背景音乐
+     * 必须在用户操作（如点击按钮）的事件处理函数中调用；重复调用是安全的
+     */
+    unlock() {
+        if (this.ctx) {
+            this.ctx.resume();
+            return;
+        }
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return; // 浏览器不支持 WebAudio，保持静音
+
+        const ctx = new AudioContextClass();
+        this.ctx = ctx;
+        this.masterGain = ctx.createGain();
+        this.sfxGain = ctx.createGain();
+        this.musicGain = ctx.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.musicGain.connect(this.masterGain);
+        this.masterGain.connect(ctx.destination);
+        this.applyVolumes();
+
+        // 1 秒白噪声，撞击声截取其中一小段
+        this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+        this.nextBarTime = ctx.currentTime + 0.1;
+        this.timer = setInterval(() => this.schedule(), TICK);
+        this.schedule();
+    }
+
+    /**
+     * 暂停或恢复所有声音（游戏暂停时调用）
+     * @param {boolean} suspended - 是否暂停
+     */
+    setSuspended(suspended) {
+        if (!this.ctx) return;
+        if (suspended) {
+            this.ctx.suspend();
+        } else {
+            this.ctx.resume();
+        }
+    }
+
+    // ==========================================
+    // 音量设置
+    // ==========================================
+
+    /**
+     * 读取保存的音量设置，缺失或损坏的部分使用默认值
+     * @returns {Object} {master, sfx, music, muted}
+     */
+    loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(SETTINGS_KEY)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable audio settings:', e);
+        }
+        const settings = { ...DEFAULT_SETTINGS };
+        for (const key of ['master', 'sfx', 'music']) {
+            if (Number.isFinite(saved[key])) settings[key] = Math.min(1, Math.max(0, saved[key]));
+        }
+        settings.muted = saved.muted === true;
+        return settings;
+    }
+
+    /**
+     * 保存音量设置；存储不可用时放弃
+     */
+    saveSettings() {
+        try {
+            this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Failed to save audio settings:', e);
+        }
+    }
+
+    /**
+     * 获取当前音量设置
+     * @returns {Object} {master, sfx, music, muted}
+     */
+    getSettings() {
+        return this.settings;
+    }
+
+    /**
+     * 设置某个通道的音量
+     * @param {string} channel - 'master' | 'sfx' | 'music'
+     * @param {number} value - 音量 (0 ~ 1)
+     */
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_SETTINGS) || channel === 'muted') {
+            throw new Error(`Unknown audio channel: ${channel}`);
+        }
+        this.settings[channel] = Math.min(1, Math.max(0, value));
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    /**
+     * 设置静音
+     * @param {boolean} muted - 是否静音
+     */
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applyVolumes();
+        this.saveSettings();
+    }
+
+    /**
+     * 把音量设置应用到各个音量节点（平滑过渡，避免爆音）
+     */
+    applyVolumes() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        const { master, sfx, music, muted } = this.settings;
+        this.masterGain.gain.setTargetAtTime(muted ? 0 : master, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(sfx, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(music, now, 0.02);
+    }
+
+    // ==========================================
+    // 合成基础
+    // ==========================================
+
+    /**
+     * 播放一个带音量包络的音调
+     * @param {Object} options - 参数
+     * @param {number} options.freq - 起始频率 (Hz)
+     * @param {number} options.endFreq - 结束频率 (Hz)，默认与起始频率相同
+     * @param {string} options.type - 波形 ('sine' | 'square' | 'sawtooth' | 'triangle')
+     * @param {number} options.duration - 持续时间 (秒)
+     * @param {number} options.volume - 峰值音量
+     * @param {number} options.when - 开始时间 (AudioContext 时间)，默认立即
+     * @param {number} options.attack - 起音时间 (秒)
+     * @param {AudioNode} options.output - 输出节点，默认为音效通道
+     */
+    tone({ freq, endFreq = freq, type = 'sine', duration = 0.2, volume = 0.3, when, attack = 0.005, output = this.sfxGain }) {
+        const ctx = this.ctx;
+        const start = when !== undefined ? when : ctx.currentTime;
+        const osc = ctx.createOscillator();
+        const env = ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (endFreq !== freq) {
+            osc.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+        }
+        env.gain.setValueAtTime(0, start);
+        env.gain.linearRampToValueAtTime(volume, start + attack);
+        env.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        osc.connect(env);
+        env.connect(output);
+        osc.start(start);
+        osc.stop(start + duration + 0.05);
+    }
+
+    /**
+     * 播放一段经过带通滤波的噪声
+     * @param {number} freq - 滤波中心频率 (Hz)
+     * @param {number} duration - 持续时间 (秒)
+     * @param {number} volume - 峰值音量
+     */
+    noise(freq, duration, volume) {
+        const ctx = this.ctx;
+        const now = ctx.currentTime;
+        const source = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const env = ctx.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = 'bandpass';
+        filter.frequency.value = freq;
+        env.gain.setValueAtTime(volume, now);
+        env.gain.exponentialRampToValueAtTime(0.001, now + duration);
+        source.connect(filter);
+        filter.connect(env);
+        env.connect(this.sfxGain);
+        source.start(now, Math.random() * 0.5, duration);
+    }
+
+    // ==========================================
+    // 音效
+    // ==========================================
+
+    /**
+     * 发射：短促的下滑音
+     */
+    playShoot() {
+        if (!this.ctx) return;
+        this.tone({ freq: 900, endFreq: 300, type: 'square', duration: 0.12, volume: 0.08 });
+    }
+
+    /**
+     * 球插入球链：低沉的撞击声
+     */
+    playInsert() {
+        if (!this.ctx) return;
+        this.tone({ freq: 160, endFreq: 60, type: 'sine', duration: 0.15, volume: 0.3 });
+        this.noise(1200, 0.08, 0.15);
+    }
+
+    /**
+     * 消除：快速上行的琶音，连锁次数越多音调越高，消除的球越多音符越多
+     * @param {number} count - 消除的球数
+     * @param {number} combo - 当前连锁次数 (1 起)
+     */
+    playMatch(count, combo) {
+        if (!this.ctx) return;
+        // 每多一次连锁升高大三度 (4 个半音)
+        const base = 440 * Math.pow(2, (Math.min(combo, 8) - 1) * 4 / 12);
+        const steps = [0, 4, 7, 12, 16, 19];
+        const notes = Math.min(steps.length, Math.max(3, count));
+        const now = this.ctx.currentTime;
+        for (let i = 0; i < notes; i++) {
+            this.tone({
+                freq: base * Math.pow(2, steps[i] / 12),
+                type: 'triangle',
+                duration: 0.18,
+                volume: 0.15,
+                when: now + i * 0.05
+            });
+        }
+    }
+
+    /**
+     * 收集奖励物品：清脆的高音双响
+     */
+    playPickup() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        this.tone({ freq: 1318.5, type: 'sine', duration: 0.1, volume: 0.15, when: now });
+        this.tone({ freq: 1975.5, type: 'sine', duration: 0.25, volume: 0.15, when: now + 0.07 });
+    }
+
+    /**
+     * 胜利：明亮的大调琶音
+     */
+    playVictory() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+            this.tone({ freq, type: 'triangle', duration: i === 3 ? 0.8 : 0.2, volume: 0.2, when: now + i * 0.12 });
+        });
+    }
+
+    /**
+     * 失败：缓慢下滑的低音
+     */
+    playGameOver() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        this.tone({ freq: 392, endFreq: 98, type: 'sawtooth', duration: 1.2, volume: 0.15, when: now });
+        this.tone({ freq: 196, endFreq: 49, type: 'sine', duration: 1.4, volume: 0.3, when: now });
+    }
+
+    /**
+     * 开始或停止危险警报（球链接近骷髅头时的心跳声）
+     * @param {boolean} active - 是否处于危险状态
+     */
+    setDanger(active) {
+        if (active && !this.danger && this.ctx) {
+            this.nextBeatTime = this.ctx.currentTime;
+        }
+        this.danger = active;
+    }
+
+    // ==========================================
+    // 背景音乐与调度
+    // ==========================================
+
+    /**
+     * 调度器：提前安排即将到来的和弦和警报心跳
+     */
+    schedule() {
+        const horizon = this.ctx.currentTime + LOOKAHEAD;
+        // 上下文被挂起后时间停止，恢复时跳过已经错过的小节，而不是一次补播
+        if (this.nextBarTime < this.ctx.currentTime) {
+            this.nextBarTime = this.ctx.currentTime + 0.05;
+        }
+        while (this.nextBarTime < horizon) {
+            this.scheduleBar(CHORDS[this.barIndex], this.nextBarTime);
+            this.barIndex = (this.barIndex + 1) % CHORDS.length;
+            this.nextBarTime += BAR;
+        }
+
+        if (this.danger) {
+            this.nextBeatTime = Math.max(this.nextBeatTime, this.ctx.currentTime);
+            while (this.nextBeatTime < horizon) {
+                this.tone({ freq: 80, endFreq: 50, duration: 0.15, volume: 0.5, when: this.nextBeatTime });
+                this.tone({ freq: 80, endFreq: 50, duration: 0.15, volume: 0.35, when: this.nextBeatTime + 0.18 });
+                this.nextBeatTime += DANGER_BEAT;
+            }
+        }
+    }
+
+    /**
+     * 安排一个小节的背景音乐：低通滤波的锯齿波长音铺底，加上一串柔和的琶音
+     * @param {Array<number>} chord - 和弦的三个音 (Hz)
+     * @param {number} start - 小节开始时间
+     */
+    scheduleBar(chord, start) {
+        const ctx = this.ctx;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 700;
+        filter.connect(this.musicGain);
+
+        for (const freq of chord) {
+            // 两个略微失谐的振荡器叠加，声音更厚
+            for (const detune of [-6, 6]) {
+                const osc = ctx.createOscillator();
+                const env = ctx.createGain();
+                osc.type = 'sawtooth';
+                osc.frequency.value = freq / 2;
+                osc.detune.value = detune;
+                env.gain.setValueAtTime(0, start);
+                env.gain.linearRampToValueAtTime(0.03, start + 1.2);
+                env.gain.linearRampToValueAtTime(0.03, start + BAR - 0.8);
+                env.gain.linearRampToValueAtTime(0, start + BAR + 0.4);
+                osc.connect(env);
+                env.connect(filter);
+                osc.start(start);
+                osc.stop(start + BAR + 0.5);
+            }
+        }
+
+        const step = BAR / ARPEGGIO.length;
+        ARPEGGIO.forEach((note, i) => {
+            this.tone({
+                freq: chord[note] * 2,
+                type: 'sine',
+                duration: step * 1.5,
+                volume: 0.04,
+                when: start + i * step,
+                attack: 0.02,
+                output: this.musicGain
+            });
+        });
+    }
+}
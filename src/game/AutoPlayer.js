@@ -0,0 +1,113 @@
+const ANGLE_STEPS = 180;     // 每次决策时尝试的发射角度数量（一整圈；瞄准范围受限时按比例减少）
+const RAIL_POSITIONS = 5;    // 关卡有滑轨时尝试的发射器位置数量（均匀分布在滑轨上）
+const FIRE_INTERVAL = 0.45;  // 两次发射之间的最短间隔 (秒)
+const SWAP_MARGIN = 5;       // 下一个球的最佳得分至少高出这么多才交换，避免来回交换
+
+/**
+ * 自动玩家类 (AutoPlayer Class)
+ * 读取球链 (BallChain.balls) 和发射器的当前球、下一个球，为一圈候选角度分别预测落点
+ * (Simulation.predictShot) 和随后会形成的同色连续球数 (BallChain.predictRun)，选出得分最高的一发，
+ * 然后像真实玩家一样通过 applyInput 交换、瞄准和发射。
+ * 关卡有发射器滑轨时，还会在滑轨上的几个位置分别尝试，并先沿滑轨移动 (move) 到最佳位置再瞄准。
+ * 双人游戏中可以指定操作哪个玩家的发射器。
+ * 不使用随机数：同一种子下的结果总是相同，可用于平衡性测试，也可用作开始界面背后的演示。
+ */
+export class AutoPlayer {
+    /**
+     * 初始化自动玩家
+     * @param {Simulation} sim - 要操作的游戏模拟
+     * @param {Object} options - {fireInterval, angleSteps, player}：player 为操作的玩家编号，默认为 0
+     */
+    constructor(sim, { fireInterval = FIRE_INTERVAL, angleSteps = ANGLE_STEPS, player = 0 } = {}) {
+        this.sim = sim;
+        this.player = player;
+        this.fireInterval = fireInterval;
+        this.angleSteps = angleSteps;
+        this.timer = 0; // 距离下一次发射的时间
+    }
+
+    /**
+     * 每帧调用：到了发射时间时选择一发并执行
+     * @param {number} dt - 时间增量 (秒)
+     */
+    update(dt) {
+        const { sim, player } = this;
+        const shooter = sim.shooters[player];
+        this.timer -= dt;
+        if (this.timer > 0 || !sim.isRunning || sim.isPaused || sim.ending || shooter.cooldown > 0) return;
+
+        const shot = this.chooseShot();
+        if (!shot) return;
+        if (shot.swap) sim.applyInput({ type: 'swap', player });
+        if (shooter.rail) sim.applyInput({ type: 'move', player, delta: shot.railDistance - shooter.railDistance });
+        sim.applyInput({ type: 'aim', player, angle: shot.angle });
+        sim.applyInput({ type: 'fire', player });
+        this.timer = this.fireInterval;
+    }
+
+    /**
+     * 为当前球和下一个球分别找出最佳角度，选择得分更高的一个
+     * @returns {Object|null} {angle, railDistance, swap, score}；没有任何球可打时返回 null
+     */
+    chooseShot() {
+        const shooter = this.sim.shooters[this.player];
+        const current = this.findBestAngle(shooter.currentBall);
+        if (!current) return null;
+        if (shooter.nextBall === shooter.currentBall) return { ...current, swap: false };
+
+        const next = this.findBestAngle(shooter.nextBall);
+        if (next && next.score > current.score + SWAP_MARGIN) return { ...next, swap: true };
+        return { ...current, swap: false };
+    }
+
+    /**
+     * 在允许的瞄准范围内尝试一组角度（有滑轨时在每个候选位置各试一遍），
+     * 找出某种颜色的球得分最高的发射角度
+     * @param {string} color - 要发射的球的颜色
+     * @returns {Object|null} {angle, railDistance, score}
+     */
+    findBestAngle(color) {
+        const shooter = this.sim.shooters[this.player];
+        const { min, max } = shooter.getAimRange();
+        const span = max - min;
+        const full = span >= Math.PI * 2 - 1e-6;
+        // 一整圈时两端是同一个角度，只取一次；受限范围则包含两端
+        const steps = Math.max(2, Math.round(this.angleSteps * span / (Math.PI * 2)));
+        const positions = shooter.rail
+            ? Array.from({ length: RAIL_POSITIONS }, (_, i) => shooter.rail.totalLength * i / (RAIL_POSITIONS - 1))
+            : [shooter.railDistance];
+        const original = shooter.railDistance;
+
+        let best = null;
+        for (const railDistance of positions) {
+            shooter.setRailDistance(railDistance);
+            for (let i = 0; i < steps; i++) {
+                const angle = min + span * (full ? i / steps : i / (steps - 1));
+                const score = this.scoreShot(this.sim.predictShot(angle, shooter), color);
+                if (!best || score > best.score) best = { angle, railDistance, score };
+            }
+        }
+        shooter.setRailDistance(original);
+        return best;
+    }
+
+    /**
+     * 评估一发的落点
+     * - 形成消除：消除越多越好，越靠近骷髅头越好
+     * - 凑成两个同色：为下一发做准备
+     * - 其它：插入的球会把球链往前推，越靠近骷髅头越差；打空略差于打在起点附近
+     * @param {Object} prediction - Simulation.predictShot 的结果
+     * @param {string} color - 发射的球的颜色
+     * @returns {number} 得分
+     */
+    scoreShot(prediction, color) {
+        if (!prediction.chain) return -20;
+        const { chain, index, insertIndex } = prediction;
+        const progress = Math.max(0, chain.balls[index].distance) / chain.path.totalLength;
+        const run = chain.predictRun(color, insertIndex, index);
+
+        if (run >= 3) return 100 + run * 10 + progress * 60;
+        if (run === 2) return 20 + progress * 20;
+        return -progress * 15;
+    }
+}
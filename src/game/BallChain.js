@@ -1,3 +1,9 @@
+import { POWER_UP_TYPES } from './PowerUps.js';
+import { Random } from './Random.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+const INSERT_TIME = 0.15; // 插入动画时长 (秒)：新球从重叠状态滑入球链所需时间
+
 /**
  * 球链管理类 (BallChain Class)
  * 管理游戏中所有沿着路径滚动的彩球。
@@ -7,23 +13,42 @@ export class BallChain {
     /**
      * 初始化球链
      * @param {Path} path - 游戏路径对象
-     * @param {number} level - 当前关卡（影响速度和球的数量）
+     * @param {Object} config - 关卡配置 {speed, maxBalls, colors, powerUps, speedProfile, runChance, tunnels, rng, track, events}
      */
-    constructor(path, level = 1) {
+    constructor(path, { speed = 55, maxBalls = 30, colors = ['#ff0055', '#00f2ff', '#00ff00', '#ffff00'], powerUps = {}, speedProfile = null, runChance = 0, tunnels = [], rng = new Random(Random.createSeed()), track = 0, events = null } = {}) {
         this.path = path;
+        this.rng = rng; // 共享的随机数生成器（保证同一种子结果一致）
+        this.track = track;   // 轨道编号，用于事件数据
+        this.events = events; // 事件总线（见 EventBus.js），用于通知生成新球、空隙闭合；可为 null
         this.balls = []; // 存储所有球的数组，按在路径上的 distance 排序
         this.ballRadius = 18; // 球的半径
-        // 基础速度 + 关卡增量
-        this.speed = 50 + (level * 5); 
-        // 可用的颜色集合
-        this.colors = ['#ff0055', '#00f2ff', '#00ff00', '#ffff00']; // 红, 青, 绿, 黄
+        // 球链前进速度（像素/秒），由关卡决定
+        this.speed = speed;
+        // 可用的颜色集合（关卡调色板）
+        this.colors = colors;
+        // 每种道具在生成球上出现的概率 {reverse: 0.02, ...}
+        this.powerUpChances = powerUps;
+        // 沿轨道的速度曲线 {rushUntil, rushFactor, slowFrom, slowFactor}（见 Difficulty.js），null 表示匀速
+        this.speedProfile = speedProfile;
+        this.rushing = !!speedProfile; // 是否处于开局冲入阶段，结束后不再出现
+        // 新球沿用上一个生成的球颜色的概率
+        this.runChance = runChance;
+        // 隧道区间 [[startDistance, endDistance], ...]：其中的球被遮挡，弹射物打不到
+        this.tunnels = tunnels;
+        // 道具效果状态（由 Game 根据计时器设置）
+        this.reversing = false;    // 推动段是否正在倒退
+        this.speedMultiplier = 1;  // 速度倍率（减速道具）
         this.spawnTimer = 0; // 生成计时器
         // 连续生成的间隔时间：直径 / 速度，确保首尾相连
         this.spawnInterval = (this.ballRadius * 2) / this.speed;
-        // 最大生成球数：基础20 + 关卡增量
-        this.maxBalls = 20 + (level * 10);
+        // 最大生成球数，由关卡决定
+        this.maxBalls = maxBalls;
         this.spawnedCount = 0; // 已生成的球数
+        this.furthest = 0; // 最前面的球到达过的最远距离，过关奖励从这里开始计算
         this.nextId = 0; // 球的唯一 ID 计数器
+        // 碰撞检测用的空间网格，格子边长为球的直径
+        this.grid = new SpatialGrid(this.ballRadius * 2);
+        this.gridDirty = true; // 球被增删后需要重建网格
 
         // 预生成初始球 - 只生成第一个球在起点
         this.preSpawnBalls(1);
@@ -36,28 +61,51 @@ export class BallChain {
     preSpawnBalls(count) {
         // 目前逻辑只生成在 distance 0，所以实际上 count 通常为 1
         for (let i = 0; i < count; i++) {
-            const color = this.colors[Math.floor(Math.random() * this.colors.length)];
-
-            this.balls.push({
-                id: this.nextId++,
-                color: color,
-                distance: 0, // 从路径起点开始
-                radius: this.ballRadius
-            });
-            this.spawnedCount++;
+            const color = this.rng.pick(this.colors);
+
+            // 从路径起点开始
+            this.addSpawnedBall(color, 0);
         }
     }
 
+    /**
+     * 在起点处加入一个新生成的球，并通知 ballSpawned 事件
+     * @param {string} color - 颜色代码
+     * @param {number} distance - 在路径上的距离
+     */
+    addSpawnedBall(color, distance) {
+        const ball = this.createBall(color, distance, this.rollPowerUp());
+        this.balls.push(ball);
+        this.spawnedCount++;
+        this.emit('ballSpawned', { track: this.track, color, powerUp: ball.powerUp });
+    }
+
+    /**
+     * 通过事件总线通知事件；没有事件总线时忽略
+     * @param {string} type - 事件类型
+     * @param {Object} payload - 事件数据
+     */
+    emit(type, payload) {
+        if (this.events) this.events.emit(type, payload);
+    }
+
     /**
      * 更新球链状态
      * @param {number} dt - 时间增量
-     * @param {Function} onMatch - 消除回调函数 (count) => void
+     * @param {Function} onMatch - 消除回调函数 (count, removedBalls) => void，被移除的球保留消除前的坐标 (x, y)，可用于在原位置生成特效
+     * @param {Function} onInsertSettled - 插入的球到位后的回调 (removedBalls, player) => void，未形成消除时 removedBalls 为空数组；
+     *                                      player 为射出该球的玩家编号
      */
-    update(dt, onMatch) {
-        // 1. 生成新球
-        if (this.spawnedCount < this.maxBalls) {
+    update(dt, onMatch, onInsertSettled) {
+        // 当前实际速度（受速度曲线和减速道具影响）
+        const factor = this.getSpeedFactor() * this.speedMultiplier;
+        const speed = this.speed * factor;
+
+        // 1. 生成新球（倒退期间暂停生成）
+        if (this.spawnedCount < this.maxBalls && !this.reversing) {
             this.spawnTimer += dt;
-            if (this.spawnTimer >= this.spawnInterval) {
+            // 加速或减速时生成间隔相应变化，保持首尾相连
+            if (this.spawnTimer >= this.spawnInterval / factor) {
                 this.spawnBall();
                 this.spawnTimer = 0;
             }
@@ -65,9 +113,16 @@ export class BallChain {
 
         if (this.balls.length === 0) return;
 
+        // 推进插入动画
+        for (const ball of this.balls) {
+            if (ball.inserting) {
+                ball.insertProgress = Math.min(1, ball.insertProgress + dt / INSERT_TIME);
+            }
+        }
+
         const diameter = this.ballRadius * 2;
         const epsilon = 2; // 允许的微小误差，用于判定是否"连接"
-        const attractionSpeed = this.speed * 4; // 球之间的磁力吸引速度
+        const attractionSpeed = speed * 4; // 球之间的磁力吸引速度
 
         // 确保球按距离排序（虽然通常是有序的，但为了保险）
         this.balls.sort((a, b) => a.distance - b.distance);
@@ -97,8 +152,8 @@ export class BallChain {
             let moveSpeed = 0;
 
             if (i === 0) {
-                // 第一段（最前面的段）以正常速度前进
-                moveSpeed = this.speed;
+                // 第一段（最前面的段）以正常速度前进；倒退道具生效时反向移动
+                moveSpeed = this.reversing ? -speed : speed;
             } else {
                 // 后面的段受前面的段吸引
                 const prevSegment = segments[i - 1];
@@ -148,24 +203,54 @@ export class BallChain {
         for (let i = 1; i < this.balls.length; i++) {
             const ball = this.balls[i];       // distance 较大
             const prevBall = this.balls[i - 1]; // distance 较小
-            
-            // 如果距离小于直径（重叠）
-            if (ball.distance < prevBall.distance + diameter) {
-                // 强制推开 ball
-                ball.distance = prevBall.distance + diameter;
+            // 正在插入的球所需的间距从 0 逐渐增大到直径，使相邻的球在几帧内平滑地被推开
+            const spacing = diameter * Math.min(this.getInsertScale(ball), this.getInsertScale(prevBall));
+
+            // 如果距离小于所需间距（重叠）
+            if (ball.distance < prevBall.distance + spacing) {
+                // 推开 ball
+                ball.distance = prevBall.distance + spacing;
             }
         }
 
+        // 原本分开的相邻两段接上了：通知空隙闭合
+        for (let s = 1; s < segments.length; s++) {
+            const prevTail = segments[s - 1][segments[s - 1].length - 1];
+            const head = segments[s][0];
+            if (head.distance - prevTail.distance <= diameter + epsilon) {
+                const joint = this.path.getPointAt((head.distance + prevTail.distance) / 2);
+                this.emit('segmentJoined', { track: this.track, x: joint.x, y: joint.y, colors: [prevTail.color, head.color] });
+            }
+        }
+
+        // 插入的球到位后，检查它是否形成消除
+        for (const ball of this.balls.filter(b => b.inserting && b.insertProgress >= 1)) {
+            const player = ball.player || 0;
+            ball.inserting = false;
+            delete ball.insertFrom;
+            delete ball.player;
+            const index = this.balls.indexOf(ball);
+            if (index === -1) continue; // 已被同一帧内另一个插入球的消除带走
+            const removed = this.checkMatches(index);
+            if (onInsertSettled) onInsertSettled(removed, player);
+        }
+
         // 5. 消除检测 (Match Detection)
-        // 优化：只在球静止或合并时检测？这里每帧检测所有可能的匹配
+        // 每帧检测所有可能的匹配（例如空隙闭合后两段相接形成的消除）
+        // 正在插入的球不参与，它们到位后由上面的逻辑单独检测
         let i = 0;
         while (i < this.balls.length) {
+            if (this.balls[i].inserting) {
+                i++;
+                continue;
+            }
             let color = this.balls[i].color;
             let count = 1;
             let j = i + 1;
 
             // 向后查找相同颜色的连续球
             while (j < this.balls.length &&
+                !this.balls[j].inserting &&
                 this.balls[j].color === color &&
                 (this.balls[j].distance - this.balls[j - 1].distance <= diameter + epsilon)) {
                 count++;
@@ -174,14 +259,99 @@ export class BallChain {
 
             if (count >= 3) {
                 // 发现 3 个或更多同色球，移除它们
-                this.balls.splice(i, count);
-                if (onMatch) onMatch(count);
+                const removed = this.balls.splice(i, count);
+                this.gridDirty = true;
+                if (onMatch) onMatch(count, removed);
                 // 移除后，i 保持不变（因为后面的元素移过来了），继续检查当前位置
             } else {
                 // 否则跳过这组球
                 i = j;
             }
         }
+
+        // 6. 缓存本帧所有球的坐标，供碰撞检测和渲染使用
+        this.updatePositions();
+        if (this.balls.length > 0) {
+            this.furthest = Math.max(this.furthest, this.balls[this.balls.length - 1].distance);
+        }
+    }
+
+    /**
+     * 失败动画：所有球（包括还在起点外的）一起向终点前进，越过终点的球被骷髅头吞掉
+     * 不再生成新球，也不做碰撞和消除检测
+     * @param {number} distance - 本帧前进的距离
+     * @returns {Array} 本帧被吞掉的球（带有吞掉前的坐标 x, y）
+     */
+    drain(distance) {
+        const end = this.path.totalLength;
+        const swallowed = [];
+        this.balls = this.balls.filter(ball => {
+            ball.distance += distance;
+            ball.inserting = false;
+            if (ball.distance < end) return true;
+            swallowed.push(ball);
+            return false;
+        });
+        this.updatePositions();
+        return swallowed;
+    }
+
+    /**
+     * 按速度曲线计算当前的速度倍率（由最前面的球的位置决定）
+     * 开局冲入阶段的最后 20% 逐渐减速到巡航速度；接近骷髅头时从 slowFrom 开始线性减速
+     * @returns {number} 速度倍率；没有速度曲线时为 1
+     */
+    getSpeedFactor() {
+        const profile = this.speedProfile;
+        if (!profile) return 1;
+        const progress = this.getProgress();
+
+        if (this.rushing) {
+            if (progress >= profile.rushUntil) {
+                this.rushing = false;
+            } else {
+                const t = Math.max(0, (progress / profile.rushUntil - 0.8) / 0.2);
+                return profile.rushFactor + (1 - profile.rushFactor) * t;
+            }
+        }
+        if (progress > profile.slowFrom && profile.slowFrom < 1) {
+            const t = Math.min(1, (progress - profile.slowFrom) / (1 - profile.slowFrom));
+            return 1 + (profile.slowFactor - 1) * t;
+        }
+        return 1;
+    }
+
+    /**
+     * 计算并缓存每个球在路径上的 2D 坐标 (ball.x, ball.y, ball.angle)，并重建空间网格
+     * 每帧只需计算一次，碰撞检测和渲染直接读取缓存
+     */
+    updatePositions() {
+        for (const ball of this.balls) {
+            this.updateBallPosition(ball);
+        }
+        this.rebuildGrid();
+    }
+
+    /**
+     * 更新单个球的缓存坐标
+     * @param {Object} ball - 球对象
+     */
+    updateBallPosition(ball) {
+        const pos = this.path.getPointAt(ball.distance);
+        ball.x = pos.x;
+        ball.y = pos.y;
+        ball.angle = pos.angle;
+    }
+
+    /**
+     * 按缓存坐标重建空间网格
+     */
+    rebuildGrid() {
+        this.grid.clear();
+        for (const ball of this.balls) {
+            this.grid.insert(ball, ball.x, ball.y);
+        }
+        this.gridDirty = false;
     }
 
     /**
@@ -209,12 +379,15 @@ export class BallChain {
         // 如果最近的两个球颜色相同，尝试换个颜色
         if (closest && secondClosest && closest.color === secondClosest.color) {
             do {
-                color = this.colors[Math.floor(Math.random() * this.colors.length)];
+                color = this.rng.pick(this.colors);
                 attempts++;
             } while (attempts < 10 && color === closest.color);
+        } else if (closest && this.runChance > 0 && this.colors.includes(closest.color) && this.rng.next() < this.runChance) {
+            // 按概率沿用上一个球的颜色，形成两个一组的同色串
+            color = closest.color;
         } else {
             // 随机选择颜色
-            color = this.colors[Math.floor(Math.random() * this.colors.length)];
+            color = this.rng.pick(this.colors);
         }
 
         // 确定生成位置：紧贴着最后一个球（distance最小的球）
@@ -224,13 +397,50 @@ export class BallChain {
             spawnDistance = closest.distance - (this.ballRadius * 2);
         }
 
-        this.balls.push({
+        this.addSpawnedBall(color, spawnDistance);
+    }
+
+    /**
+     * 创建一个球对象
+     * @param {string} color - 颜色代码
+     * @param {number} distance - 在路径上的距离
+     * @param {string|null} powerUp - 携带的道具类型
+     * @returns {Object} 球对象
+     */
+    createBall(color, distance, powerUp = null) {
+        const ball = {
             id: this.nextId++,
             color: color,
-            distance: spawnDistance,
-            radius: this.ballRadius
-        });
-        this.spawnedCount++;
+            distance: distance,
+            radius: this.ballRadius,
+            powerUp: powerUp
+        };
+        this.updateBallPosition(ball);
+        this.gridDirty = true;
+        return ball;
+    }
+
+    /**
+     * 按关卡配置的概率随机决定新球是否携带道具
+     * @returns {string|null} 道具类型，或 null 表示普通球
+     */
+    rollPowerUp() {
+        let roll = this.rng.next();
+        for (const type of POWER_UP_TYPES) {
+            const chance = this.powerUpChances[type] || 0;
+            if (roll < chance) return type;
+            roll -= chance;
+        }
+        return null;
+    }
+
+    /**
+     * 获取球链的前进程度：最前面的球走过的距离占路径总长的比例
+     * @returns {number} 0 ~ 1；没有球时为 0
+     */
+    getProgress() {
+        if (this.balls.length === 0) return 0;
+        return Math.min(1, this.balls[this.balls.length - 1].distance / this.path.totalLength);
     }
 
     /**
@@ -257,85 +467,154 @@ export class BallChain {
         return this.spawnedCount >= this.maxBalls;
     }
 
+    /**
+     * 检查球链中是否还有空隙（即是否被分成了多段）
+     * 有空隙时，后续的闭合仍可能引发连锁消除
+     */
+    hasGaps() {
+        const maxSpacing = this.ballRadius * 2 + 2; // 与 update 中判定"连接"的误差一致
+        for (let i = 1; i < this.balls.length; i++) {
+            if (this.balls[i].distance - this.balls[i - 1].distance > maxSpacing) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * 检测弹射物是否击中球链
+     * 先通过空间网格找出弹射物附近的球，再做精确的圆形碰撞检测；隧道中的球不参与检测
      * @param {Object} projectile - 弹射物对象 {x, y, radius}
-     * @returns {Object|null} - 碰撞信息 {index, ball, x, y} 或 null
+     * @returns {Object|null} - 碰撞信息 {index, ball, x, y} 或 null；同时击中多个球时返回最近的一个
      */
     checkCollision(projectile) {
-        // 遍历所有球进行圆形碰撞检测
-        for (let i = 0; i < this.balls.length; i++) {
-            const ball = this.balls[i];
-            // 获取球当前的 2D 坐标
-            const pos = this.path.getPointAt(ball.distance);
-            const dx = pos.x - projectile.x;
-            const dy = pos.y - projectile.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
+        if (this.gridDirty) this.rebuildGrid();
+
+        let hit = null;
+        let hitDist = Infinity;
+        for (const ball of this.grid.query(projectile.x, projectile.y, this.ballRadius + projectile.radius)) {
+            // 隧道中的球被遮挡，弹射物从上方飞过
+            if (this.isInTunnel(ball.distance)) continue;
+            const dist = Math.hypot(ball.x - projectile.x, ball.y - projectile.y);
             // 如果距离小于两者半径之和
-            if (dist < (ball.radius + projectile.radius)) {
-                return { index: i, ball: ball, x: pos.x, y: pos.y };
+            if (dist < ball.radius + projectile.radius && dist < hitDist) {
+                hit = ball;
+                hitDist = dist;
             }
         }
-        return null;
+
+        if (!hit) return null;
+        return { index: this.balls.indexOf(hit), ball: hit, x: hit.x, y: hit.y };
+    }
+
+    /**
+     * 判断路径上的某个位置是否在隧道中
+     * @param {number} distance - 沿路径的距离
+     * @returns {boolean}
+     */
+    isInTunnel(distance) {
+        return this.tunnels.some(([start, end]) => distance >= start && distance <= end);
     }
 
     /**
      * 将弹射物插入到球链中
+     * 根据撞击点相对于被击中球所在位置切线的方向，决定插入在它的前面还是后面。
+     * 新球先与被击中的球重叠，然后在 INSERT_TIME 内逐渐滑入自己的位置（见 update 中的碰撞解决），
+     * 到位后才进行消除检测。
      * @param {Object} projectile - 弹射物
      * @param {number} hitIndex - 被击中的球的索引
      * @returns {number} - 插入位置的索引
      */
     insertBall(projectile, hitIndex) {
-        // 简化的插入逻辑：总是插入到被击中球的"位置"
-        // 实际上应该根据击打角度决定是插入在前面还是后面
-        // 这里简化处理：直接在 hitIndex 处插入，原来的球后移
-
         const hitBall = this.balls[hitIndex];
-        // const hitPos = this.path.getPointAt(hitBall.distance); // 未使用
+        const insertIndex = this.getInsertIndex(projectile, hitIndex);
 
-        const newBall = {
-            id: this.nextId++,
-            color: projectile.color,
-            distance: hitBall.distance, // 暂时重叠，稍后推开
-            radius: this.ballRadius
-        };
+        // 暂时与被击中的球重叠，之后逐渐推开
+        const newBall = this.createBall(projectile.color, hitBall.distance);
+        newBall.inserting = true;
+        newBall.insertProgress = 0;
+        newBall.insertFrom = { x: projectile.x, y: projectile.y }; // 用于绘制从撞击点滑入轨道的动画
+        newBall.player = projectile.player || 0; // 射出该球的玩家，到位后按该玩家的连锁和连击计分
 
         // 插入数组
-        this.balls.splice(hitIndex, 0, newBall);
-
-        // 解决重叠：将插入点之后的球向前推
-        // 从 hitIndex 开始向后遍历（distance 增加的方向）
-        let currentIdx = hitIndex;
-        while (currentIdx < this.balls.length - 1) {
-            const b1 = this.balls[currentIdx];
-            const b2 = this.balls[currentIdx + 1];
-            // 确保 b2 比 b1 至少远一个直径
-            if (b2.distance - b1.distance < this.ballRadius * 2) {
-                b2.distance = b1.distance + this.ballRadius * 2;
+        this.balls.splice(insertIndex, 0, newBall);
+
+        return insertIndex;
+    }
+
+    /**
+     * 计算弹射物击中某个球后应插入的位置
+     * 撞击点在被击中球切线方向上的投影为正时插在它的前方 (distance 更大的一侧)，否则插在后方
+     * @param {Object} projectile - 弹射物 {x, y}
+     * @param {number} hitIndex - 被击中的球的索引
+     * @returns {number} 插入位置的索引
+     */
+    getInsertIndex(projectile, hitIndex) {
+        const hitBall = this.balls[hitIndex];
+        const along = (projectile.x - hitBall.x) * Math.cos(hitBall.angle) +
+            (projectile.y - hitBall.y) * Math.sin(hitBall.angle);
+        return along > 0 ? hitIndex + 1 : hitIndex;
+    }
+
+    /**
+     * 预测在某个位置插入一个球后，它所在的同色连续球的数量（不修改球链）
+     * 插入位置两侧的球原本相互接触时，两侧的同色球都会与新球相连；否则只与被击中的一侧相连
+     * @param {string} color - 插入的球的颜色
+     * @param {number} insertIndex - 插入位置的索引（见 getInsertIndex）
+     * @param {number} hitIndex - 被击中的球的索引
+     * @returns {number} 包括新球在内的同色连续球数，>= 3 时会形成消除
+     */
+    predictRun(color, insertIndex, hitIndex) {
+        const maxSpacing = this.ballRadius * 2 + 2;
+        const touching = (i) => this.balls[i + 1].distance - this.balls[i].distance <= maxSpacing;
+        const before = insertIndex - 1;
+        const after = insertIndex;
+        const bridged = before >= 0 && after < this.balls.length && touching(before);
+
+        let run = 1;
+        if (bridged || hitIndex === before) {
+            for (let i = before; i >= 0 && this.balls[i].color === color; i--) {
+                run++;
+                if (i === 0 || !touching(i - 1)) break;
+            }
+        }
+        if (bridged || hitIndex === after) {
+            for (let i = after; i < this.balls.length && this.balls[i].color === color; i++) {
+                run++;
+                if (i === this.balls.length - 1 || !touching(i)) break;
             }
-            currentIdx++;
         }
+        return run;
+    }
 
-        return hitIndex;
+    /**
+     * 获取球在插入动画中的间距比例
+     * @param {Object} ball - 球对象
+     * @returns {number} 0 ~ 1，未在插入中的球为 1
+     */
+    getInsertScale(ball) {
+        return ball.inserting ? ball.insertProgress : 1;
     }
 
     /**
      * 检查指定位置是否形成消除
      * @param {number} startIndex - 检查的起始索引
-     * @returns {number} - 消除的球数量
+     * @returns {Array} - 被消除的球（带有消除前的坐标 x, y；未消除时为空数组）
      */
     checkMatches(startIndex) {
-        if (startIndex < 0 || startIndex >= this.balls.length) return 0;
+        if (startIndex < 0 || startIndex >= this.balls.length) return [];
 
         const color = this.balls[startIndex].color;
         let matchCount = 1;
         let start = startIndex;
         let end = startIndex;
 
+        // 只有相互接触的球才算连续（有空隙的两段不能跨段消除）
+        const maxSpacing = this.ballRadius * 2 + 2;
+
         // 向前搜索 (index 减小)
         for (let i = startIndex - 1; i >= 0; i--) {
-            if (this.balls[i].color === color) {
+            if (this.balls[i].color === color && this.balls[i + 1].distance - this.balls[i].distance <= maxSpacing) {
                 matchCount++;
                 start = i;
             } else {
@@ -345,7 +624,7 @@ export class BallChain {
 
         // 向后搜索 (index 增加)
         for (let i = startIndex + 1; i < this.balls.length; i++) {
-            if (this.balls[i].color === color) {
+            if (this.balls[i].color === color && this.balls[i].distance - this.balls[i - 1].distance <= maxSpacing) {
                 matchCount++;
                 end = i; // 未使用，但逻辑上是这里的
             } else {
@@ -355,10 +634,30 @@ export class BallChain {
 
         // 如果匹配数 >= 3，执行消除
         if (matchCount >= 3) {
-            this.balls.splice(start, matchCount);
-            return matchCount;
+            this.gridDirty = true;
+            return this.balls.splice(start, matchCount);
         }
 
-        return 0;
+        return [];
+    }
+
+    /**
+     * 移除指定圆形范围内的所有球（炸弹道具）
+     * @param {number} x - 圆心 X 坐标
+     * @param {number} y - 圆心 Y 坐标
+     * @param {number} radius - 半径
+     * @returns {Array} - 被移除的球（带有移除前的坐标 x, y）
+     */
+    removeBallsWithin(x, y, radius) {
+        const removed = [];
+        this.balls = this.balls.filter(ball => {
+            if (Math.hypot(ball.x - x, ball.y - y) <= radius) {
+                removed.push(ball);
+                return false;
+            }
+            return true;
+        });
+        this.gridDirty = true;
+        return removed;
     }
 }
@@ -0,0 +1,65 @@
+/**
+ * 难度预设 (Difficulty Presets)
+ * 每个预设决定关卡数据在实际游戏中如何被缩放，开始界面可选择其一：
+ * - speedScale / ballCountScale：球链速度和生成球数的倍率
+ * - colors：颜色数量随关卡逐步增加 {start, every}，第 1 关使用 start 种，之后每 every 关多一种，
+ *   新颜色按关卡调色板的顺序引入，最多不超过调色板的长度
+ * - speedProfile：沿轨道的速度曲线 {rushUntil, rushFactor, slowFrom, slowFactor}
+ *   关卡开始时球链以 rushFactor 倍速冲入，直到最前面的球走过路径的 rushUntil 比例后恢复巡航速度；
+ *   最前面的球超过 slowFrom 后逐渐减速，到达骷髅头时为 slowFactor 倍速
+ * - runChance：生成新球时直接沿用上一个球颜色的概率（越高越容易出现同色串，越好消）
+ * - aimGuide：是否显示预测瞄准线（标出会击中的球、插入位置以及是否会形成消除）
+ * 关卡可以在 levels.json 中用 speedProfile、runChance 覆盖预设的值。
+ */
+export const DIFFICULTIES = {
+    easy: {
+        label: 'Easy',
+        speedScale: 0.85,
+        ballCountScale: 0.8,
+        colors: { start: 3, every: 3 },
+        speedProfile: { rushUntil: 0.2, rushFactor: 4, slowFrom: 0.7, slowFactor: 0.4 },
+        runChance: 0.45,
+        aimGuide: true
+    },
+    normal: {
+        label: 'Normal',
+        speedScale: 1,
+        ballCountScale: 1,
+        colors: { start: 3, every: 2 },
+        speedProfile: { rushUntil: 0.25, rushFactor: 4, slowFrom: 0.75, slowFactor: 0.55 },
+        runChance: 0.3,
+        aimGuide: true
+    },
+    hard: {
+        label: 'Hard',
+        speedScale: 1.15,
+        ballCountScale: 1.25,
+        colors: { start: 4, every: 1 },
+        speedProfile: { rushUntil: 0.3, rushFactor: 5, slowFrom: 0.85, slowFactor: 0.75 },
+        runChance: 0.15,
+        aimGuide: false
+    }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * 按名称获取难度预设，未知名称时返回默认难度
+ * @param {string} name - 难度名称 ('easy' | 'normal' | 'hard')
+ * @returns {Object} 难度预设
+ */
+export function getDifficulty(name) {
+    return DIFFICULTIES[name] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * 计算某一关使用的颜色数量
+ * @param {Object} difficulty - 难度预设
+ * @param {number} levelNumber - 关卡编号 (从 1 开始)
+ * @param {number} paletteSize - 关卡调色板的颜色数
+ * @returns {number}
+ */
+export function getColorCount(difficulty, levelNumber, paletteSize) {
+    const { start, every } = difficulty.colors;
+    return Math.min(paletteSize, start + Math.floor((levelNumber - 1) / every));
+}
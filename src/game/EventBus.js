@@ -0,0 +1,107 @@
+/**
+ * 游戏事件类型 (Game Events)
+ * Simulation 通过事件总线 (sim.events) 通知外部发生了什么，UI、音效、特效和统计等模块各自订阅需要的事件，
+ * 无需修改模拟代码。每个事件只带一个数据对象，其中 track 为轨道（球链）编号，
+ * player 为相关玩家的编号（单人游戏中总是 0；null 表示不属于任何玩家）：
+ * - scoreChanged     {score, delta, player, playerScores}：得分改变，playerScores 为每个玩家自己的得分
+ * - levelStarted     {level, difficulty, resumed}：关卡开始（新游戏、下一关或从存档恢复）
+ * - levelEnded       {level, won, score, playerScores, seed, stats}：关卡结算（结束动画播放完毕后），stats 见 Simulation.getLevelStats
+ * - pauseChanged     {paused}：暂停状态切换
+ * - shotFired        {player, color, x, y, angle}：发射了一个球
+ * - projectileMissed {color, x, y, reason}：弹射物没有击中球链，reason 为 'bounds'（飞出场景）或 'wall'（撞墙）
+ * - ballInserted     {track, color, x, y}：弹射物击中球链并开始插入
+ * - matchCleared     {track, player, count, colors, positions, combo, cause}：消除了一组球；
+ *                    positions 为被消除球的坐标 [{x, y}]，cause 为 'shot'（射入的球）或 'chain'（空隙闭合引发）
+ * - comboChained     {track, player, combo, streak}：同一次射击引发了第 2 次及以上的连锁消除
+ * - segmentJoined    {track, x, y, colors}：两段球链的空隙闭合，colors 为接合处两个球的颜色
+ * - ballSpawned      {track, color, powerUp}：起点生成了一个新球
+ * - dangerChanged    {inDanger}：进入或离开危险状态（球链接近骷髅头）
+ * - pickupCollected  {player, type, x, y, points}：收集了奖励物品
+ */
+export const GAME_EVENTS = [
+    'scoreChanged',
+    'levelStarted',
+    'levelEnded',
+    'pauseChanged',
+    'shotFired',
+    'projectileMissed',
+    'ballInserted',
+    'matchCleared',
+    'comboChained',
+    'segmentJoined',
+    'ballSpawned',
+    'dangerChanged',
+    'pickupCollected'
+];
+
+/**
+ * 事件总线类 (EventBus Class)
+ * 简单的发布/订阅：只接受创建时声明的事件类型，订阅或触发未知事件时抛出错误，
+ * 避免拼写错误的事件名悄无声息地失效。监听函数按订阅顺序同步调用。
+ */
+export class EventBus {
+    /**
+     * 初始化事件总线
+     * @param {Array<string>} types - 允许的事件类型，默认为 GAME_EVENTS
+     */
+    constructor(types = GAME_EVENTS) {
+        this.listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    /**
+     * 获取某个事件类型的监听函数集合
+     * @param {string} type - 事件类型
+     * @returns {Set<Function>}
+     */
+    getListeners(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) throw new Error(`Unknown event type: ${type}`);
+        return listeners;
+    }
+
+    /**
+     * 订阅事件
+     * @param {string} type - 事件类型
+     * @param {Function} listener - 监听函数 (payload) => void
+     * @returns {Function} 取消订阅的函数
+     */
+    on(type, listener) {
+        this.getListeners(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * 订阅事件，只触发一次后自动取消
+     * @param {string} type - 事件类型
+     * @param {Function} listener - 监听函数 (payload) => void
+     * @returns {Function} 取消订阅的函数
+     */
+    once(type, listener) {
+        const off = this.on(type, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * 取消订阅
+     * @param {string} type - 事件类型
+     * @param {Function} listener - 订阅时传入的监听函数
+     */
+    off(type, listener) {
+        this.getListeners(type).delete(listener);
+    }
+
+    /**
+     * 触发事件，依次调用所有监听函数
+     * 调用期间新增或取消的订阅从下一次触发开始生效
+     * @param {string} type - 事件类型
+     * @param {Object} payload - 事件数据
+     */
+    emit(type, payload) {
+        for (const listener of [...this.getListeners(type)]) {
+            listener(payload);
+        }
+    }
+}
@@ -1,97 +1,253 @@
-import { Path } from './Path.js';
-import { BallChain } from './BallChain.js';
-import { Shooter } from './Shooter.js';
+import { Simulation } from './Simulation.js';
 import { Renderer } from './Renderer.js';
+import { InputManager } from './Input.js';
+import { Viewport } from './Viewport.js';
+import { AutoPlayer } from './AutoPlayer.js';
+import { VersusMatch } from './Versus.js';
+
+const DANGER_PULSE_RATE = 8; // 危险警告闪烁的角频率 (弧度/秒)
+const VERSUS_PANE_SCALE = 0.5; // 双人对战时每一方画面的缩放比例（左右并排）
+
+/**
+ * 游戏模式：single 单人；coop 同屏双人合作（共用球链）；versus 分屏双人对战
+ */
+export const GAME_MODES = ['single', 'coop', 'versus'];
 
 /**
  * 游戏主类 (Game Class)
- * 负责协调游戏的所有核心组件：路径、球链、发射器和渲染器。
- * 处理游戏循环、状态管理、输入事件和核心逻辑。
+ * 浏览器端的游戏外壳：将玩法模拟 (Simulation) 与渲染器、输入管理器和动画帧循环连接起来。
+ * 所有玩法规则都在 Simulation 中，这里只负责"画出来"和"把输入交给模拟"。
+ * 双人游戏时鼠标（触摸）操作玩家 1，键盘或手柄操作玩家 2；对战模式下左右分屏绘制两边的模拟 (VersusMatch)。
  */
 export class Game {
     /**
      * 初始化游戏实例
      * @param {HTMLCanvasElement} canvas - 游戏画布元素
-     * @param {Object} callbacks - UI 回调函数集合 (onGameOver, onVictory, etc.)
+     * @param {Object} options - 游戏选项 {seed, difficulty}：指定 seed 时每局都使用该种子，否则每局随机生成
      */
-    constructor(canvas, callbacks) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d'); // 获取 2D 渲染上下文
-        this.callbacks = callbacks;
-        this.width = canvas.width;
-        this.height = canvas.height;
-
-        // 游戏状态变量
-        this.score = 0;      // 当前得分
-        this.level = 1;      // 当前关卡
-        this.isRunning = false; // 游戏是否正在进行中
-        this.isPaused = false;  // 游戏是否暂停
+        // 视口：玩法使用固定大小的世界坐标，由视口缩放到画布上（见 resize）
+        this.viewport = new Viewport();
+        this.width = this.viewport.width;
+        this.height = this.viewport.height;
         this.lastTime = 0;   // 上一帧的时间戳，用于计算 dt
+        this.frameId = null; // 当前请求的动画帧 ID
 
         // 初始化核心组件
-        // 1. Path: 定义球滚动的轨道
-        this.path = new Path(this.width, this.height);
-        // 2. BallChain: 管理轨道上的球链逻辑
-        this.chain = new BallChain(this.path);
-        // 3. Shooter: 玩家控制的发射器（青蛙）
-        this.shooter = new Shooter(this.width / 2, this.height / 2);
-        // 4. Renderer: 负责将所有内容绘制到 Canvas 上
-        this.renderer = new Renderer(this.ctx, this.width, this.height);
-
-        // 绑定事件监听器
-        // 监听鼠标移动：更新发射器的瞄准角度
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (!this.isRunning || this.isPaused) return;
-            // 获取 Canvas 在视口中的位置，用于修正鼠标坐标
-            const rect = this.canvas.getBoundingClientRect();
-            this.shooter.updateAngle(e.clientX - rect.left, e.clientY - rect.top);
-        });
+        // 1. Simulation: 玩法状态和规则（路径、球链、发射器、计分等）
+        this.sim = new Simulation(this.width, this.height, options);
+        // 模拟的事件总线：UI 通过 game.events.on(type, listener) 订阅游戏事件（见 EventBus.js）
+        this.events = this.sim.events;
+        // 双人对战：两个独立的模拟，事件见 game.versus.events 和 game.versus.sims[i].events
+        this.versus = new VersusMatch(this.width, this.height, options);
+        this.mode = 'single'; // 当前游戏模式（见 GAME_MODES）
+        // 2. Renderer: 负责将所有内容绘制到 Canvas 上
+        this.renderer = new Renderer(this.ctx, this.viewport);
 
-        // 监听鼠标点击：发射球
-        this.canvas.addEventListener('mousedown', (e) => {
-            if (!this.isRunning || this.isPaused) return;
-            const proj = this.shooter.shoot(); // 尝试发射
-            if (proj) {
-                this.projectiles.push(proj); // 如果发射成功，添加到弹射物列表
-            }
-        });
+        // 3. InputManager: 把鼠标、触摸、键盘和手柄输入转换为玩家操作
+        this.input = new InputManager(canvas, (action) => this.handleAction(action));
+
+        // 开始界面背后的演示 {sim, player, won}，null 表示没有在演示（见 startDemo）
+        this.demo = null;
+    }
+
+    /**
+     * 处理输入管理器产生的玩家操作
+     * @param {Object} action - 操作对象（见 InputManager）
+     */
+    handleAction(action) {
+        if (action.type === 'pause') {
+            this.togglePause();
+            return;
+        }
+        if (action.type === 'aim' && action.angle === undefined) {
+            // 画布上的点转换为世界坐标；对战时再转换为左侧（玩家 1）画面中的坐标
+            const point = this.viewport.toWorld(action.x, action.y);
+            action = { ...action, ...(this.mode === 'versus' ? this.toPane(point, 0) : point) };
+        }
+        if (this.mode === 'versus') {
+            this.versus.applyInput(action.player || 0, action);
+        } else {
+            this.sim.applyInput(action);
+        }
+    }
+
+    /**
+     * 设置游戏模式，从下一次 start() 开始生效
+     * @param {string} mode - 'single' | 'coop' | 'versus'
+     */
+    setMode(mode) {
+        if (!GAME_MODES.includes(mode)) throw new Error(`Unknown game mode: ${mode}`);
+        this.mode = mode;
+        this.sim.setPlayers(mode === 'coop' ? 2 : 1);
+        this.input.keyboardPlayer = mode === 'single' ? 0 : 1;
+    }
+
+    /**
+     * 设置难度，从下一次 start() 开始生效（单人、合作和对战共用）
+     * @param {string} name - 难度名称
+     */
+    setDifficulty(name) {
+        this.sim.setDifficulty(name);
+        this.versus.setDifficulty(name);
+    }
+
+    /**
+     * 获取对战时某一方画面在世界坐标中的位置：左右并排，垂直居中
+     * @param {number} player - 玩家编号
+     * @returns {Object} {x, y, scale}
+     */
+    getPane(player) {
+        return {
+            x: player * this.width / 2,
+            y: (this.height - this.height * VERSUS_PANE_SCALE) / 2,
+            scale: VERSUS_PANE_SCALE
+        };
+    }
+
+    /**
+     * 把世界坐标转换为对战中某一方画面内的坐标
+     * @param {Object} point - 世界坐标 {x, y}
+     * @param {number} player - 玩家编号
+     * @returns {Object} {x, y}
+     */
+    toPane(point, player) {
+        const pane = this.getPane(player);
+        return { x: (point.x - pane.x) / pane.scale, y: (point.y - pane.y) / pane.scale };
+    }
+
+    /**
+     * 当前正在游玩（需要推进和绘制）的模拟：演示、对战的两边或普通对局
+     * @returns {Array<Simulation>}
+     */
+    getActiveSims() {
+        if (this.demo) return [this.demo.sim];
+        return this.mode === 'versus' ? this.versus.sims : [this.sim];
+    }
+
+    /**
+     * 画布显示尺寸或设备像素比改变时调用：调整画布的实际像素尺寸并重新计算视口
+     * 世界坐标不变，球链和弹射物保持原位，只是画面缩放
+     * @param {number} cssWidth - 画布显示宽度 (CSS 像素)
+     * @param {number} cssHeight - 画布显示高度 (CSS 像素)
+     * @param {number} pixelRatio - 设备像素比
+     */
+    resize(cssWidth, cssHeight, pixelRatio = 1) {
+        this.canvas.width = Math.round(cssWidth * pixelRatio);
+        this.canvas.height = Math.round(cssHeight * pixelRatio);
+        this.viewport.resize(cssWidth, cssHeight, pixelRatio);
+        // 修改画布尺寸会清空画面，立即重绘（暂停或结算时循环可能没有运行）
+        this.draw();
+    }
+
+    /**
+     * 当前模式下的对局：对战时为 VersusMatch，否则为 Simulation（两者都有 isRunning、isPaused 和 togglePause）
+     */
+    get session() {
+        return this.mode === 'versus' ? this.versus : this.sim;
+    }
+
+    /**
+     * 本局使用的随机种子
+     */
+    get seed() {
+        return this.sim.seed;
     }
 
     /**
      * 切换暂停状态
      */
     togglePause() {
-        if (!this.isRunning) return;
-        this.isPaused = !this.isPaused;
+        this.session.togglePause();
 
-        if (!this.isPaused) {
+        if (!this.session.isPaused) {
             // 恢复游戏时，重置 lastTime，防止 dt 过大导致逻辑跳跃
             this.lastTime = performance.now();
         }
+    }
 
-        // 通知 UI 层暂停状态已改变
-        if (this.callbacks.onPauseToggle) {
-            this.callbacks.onPauseToggle(this.isPaused);
+    /**
+     * 开始新游戏（对战模式下开始新的对战）
+     */
+    start() {
+        this.stopDemo();
+        if (this.mode === 'versus') this.versus.start(); else this.sim.start();
+        this.run();
+    }
+
+    /**
+     * 开始演示模式：在开始界面背后由自动玩家游玩
+     * 演示使用独立的模拟，它的事件不会传到 UI（不会计分、存档或弹出结算界面）；
+     * 一关结束后自动进入下一关或重新开始，直到 stopDemo() 或开始真正的对局
+     */
+    startDemo() {
+        const sim = new Simulation(this.width, this.height, { difficulty: this.sim.difficulty });
+        const demo = { sim, player: new AutoPlayer(sim), won: false };
+        sim.events.on('levelEnded', ({ won }) => { demo.won = won; });
+        this.demo = demo;
+        sim.start();
+        this.run();
+    }
+
+    /**
+     * 停止演示模式，恢复显示真正的对局
+     */
+    stopDemo() {
+        if (!this.demo) return;
+        cancelAnimationFrame(this.frameId);
+        this.demo = null;
+        this.draw();
+    }
+
+    /**
+     * 推进演示：上一关的结束特效播放完后进入下一关（胜利）或重新开始（失败）
+     * @param {number} dt - 时间增量 (秒)
+     */
+    updateDemo(dt) {
+        const { sim, player, won } = this.demo;
+        if (!sim.isRunning && !sim.particles.isActive()) {
+            if (won) sim.nextLevel(); else sim.start();
+            return;
         }
+        player.update(dt);
+        sim.step(dt);
     }
 
     /**
-     * 开始新游戏
+     * 试玩一个关卡（如关卡编辑器中的关卡）；结束后调用 stop() 并恢复内置关卡
+     * @param {Object} level - 关卡定义，格式与 levels.json 中的关卡相同
      */
-    start() {
-        this.score = 0;
-        this.level = 1;
-        this.resetLevel(); // 重置关卡状态
-        this.isRunning = true;
-        this.isPaused = false;
-        this.lastTime = performance.now();
-        
-        // 初始化 UI 显示
-        this.callbacks.onScoreUpdate(this.score);
-        this.callbacks.onLevelUpdate(this.level);
-        
-        // 启动游戏循环
-        requestAnimationFrame((t) => this.loop(t));
+    testLevel(level) {
+        this.setMode('single');
+        this.sim.setLevelData({ levels: [level] });
+        this.start();
+    }
+
+    /**
+     * 停止当前对局和游戏循环，恢复内置关卡
+     */
+    stop() {
+        this.stopDemo();
+        cancelAnimationFrame(this.frameId);
+        for (const sim of [this.sim, ...this.versus.sims]) {
+            sim.isRunning = false;
+            sim.isPaused = false;
+        }
+        this.sim.setLevelData();
+    }
+
+    /**
+     * 从存档恢复对局并继续游戏
+     * @param {Object} state - Simulation.getState() 导出的对局状态
+     */
+    resume(state) {
+        this.stopDemo();
+        this.sim.loadState(state);
+        // 存档中的玩家人数决定继续单人还是双人合作
+        this.setMode(this.sim.players === 2 ? 'coop' : 'single');
+        this.run();
     }
 
     /**
@@ -102,33 +258,22 @@ export class Game {
     }
 
     /**
-     * 进入下一关
+     * 进入下一关（对战模式下进入下一回合）
      */
     nextLevel() {
-        this.level++;
-        this.callbacks.onLevelUpdate(this.level);
-        this.resetLevel(); // 根据新关卡重置状态
-        this.isRunning = true;
-        this.isPaused = false;
-        this.lastTime = performance.now();
-        
-        // 启动游戏循环
-        requestAnimationFrame((t) => this.loop(t));
+        this.stopDemo();
+        if (this.mode === 'versus') this.versus.nextRound(); else this.sim.nextLevel();
+        this.run();
     }
 
     /**
-     * 重置关卡相关的所有对象
+     * 启动游戏循环
      */
-    resetLevel() {
-        // 重新生成路径（可能会随关卡变化，这里虽然 Path 构造函数支持 level，但目前 Path 逻辑可能未完全利用）
-        this.path = new Path(this.canvas.width, this.canvas.height, this.level);
-        // 重新生成球链，传入 level 可能会影响球的速度或数量
-        this.chain = new BallChain(this.path, this.level);
-        // 重置发射器
-        this.shooter = new Shooter(this.canvas.width / 2, this.canvas.height / 2);
-        // 清空所有活动的弹射物和粒子效果
-        this.projectiles = [];
-        this.particles = [];
+    run() {
+        // 上一局结束后可能还在播放特效，先停止旧的循环，避免两个循环同时推进模拟
+        cancelAnimationFrame(this.frameId);
+        this.lastTime = performance.now();
+        this.frameId = requestAnimationFrame((t) => this.loop(t));
     }
 
     /**
@@ -136,92 +281,80 @@ export class Game {
      * @param {number} timestamp - 当前时间戳
      */
     loop(timestamp) {
-        if (!this.isRunning) return;
+        // 对局结束后继续绘制，直到特效（如骷髅头处的爆炸）播放完毕；演示模式一直运行
+        if (!this.demo && this.getActiveSims().every(sim => !sim.isRunning && !sim.particles.isActive())) return;
         // 计算两帧之间的时间差 (delta time)，单位秒
         const dt = (timestamp - this.lastTime) / 1000;
         this.lastTime = timestamp;
 
-        // 更新逻辑
-        this.update(dt);
+        if (this.demo) {
+            this.updateDemo(dt);
+        } else {
+            // 轮询键盘旋转和手柄
+            this.input.update(dt);
+            // 以固定步长推进模拟（暂停时不推进）
+            if (this.mode === 'versus') this.versus.step(dt); else this.sim.step(dt);
+        }
         // 渲染画面
         this.draw();
 
         // 请求下一帧
-        requestAnimationFrame((t) => this.loop(t));
+        this.frameId = requestAnimationFrame((t) => this.loop(t));
     }
 
     /**
-     * 更新游戏逻辑
-     * @param {number} dt - 时间增量 (秒)
+     * 绘制游戏画面
+     * 演示模式下绘制演示的模拟；对战时两边的模拟缩小后左右并排绘制
      */
-    update(dt) {
-        // 如果暂停，跳过更新
-        if (this.isPaused) return;
-
-        // 更新发射器（主要处理冷却时间）
-        this.shooter.update(dt);
-
-        // 更新球链（移动、生成新球、消除检测）
-        this.chain.update(dt, (matchCount) => {
-            // 如果发生消除，增加分数
-            this.score += matchCount * 100;
-            this.callbacks.onScoreUpdate(this.score);
-        });
-
-        // 检测游戏失败：球链到达终点
-        if (this.chain.hasReachedEnd()) {
-            this.isRunning = false;
-            this.callbacks.onGameOver(this.score);
-            return;
-        }
-
-        // 检测游戏胜利：球链为空且已生成完所有球
-        if (this.chain.isEmpty() && this.chain.hasFinishedSpawning()) {
-            this.isRunning = false;
-            this.callbacks.onVictory();
-            return;
-        }
-
-        // 更新所有弹射物
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const proj = this.projectiles[i];
-            // 根据速度更新位置
-            proj.x += proj.vx * dt;
-            proj.y += proj.vy * dt;
-
-            // 边界检查：如果超出屏幕范围，移除弹射物
-            if (proj.x < -50 || proj.x > this.width + 50 || proj.y < -50 || proj.y > this.height + 50) {
-                this.projectiles.splice(i, 1);
-                continue;
-            }
-
-            // 碰撞检测：检查弹射物是否击中球链中的球
-            const collision = this.chain.checkCollision(proj);
-
-            if (collision) {
-                // 处理碰撞：将弹射物插入到球链中
-                const points = this.chain.insertBall(proj, collision.index);
-                this.projectiles.splice(i, 1); // 移除弹射物
-
-                // 插入后立即检查是否形成消除
-                const matches = this.chain.checkMatches(collision.index);
-                if (matches > 0) {
-                    // 如果有消除，给予额外分数奖励
-                    this.score += matches * 100; 
-                    this.callbacks.onScoreUpdate(this.score);
-                }
-            }
+    draw() {
+        this.renderer.beginFrame(); // 清除上一帧，切换到世界坐标
+        const sims = this.getActiveSims();
+        if (sims.length === 1) {
+            this.drawSim(sims[0]);
+        } else {
+            sims.forEach((sim, player) => {
+                const pane = this.getPane(player);
+                this.renderer.beginPane(pane.x, pane.y, pane.scale);
+                this.drawSim(sim);
+                this.renderer.endPane();
+            });
         }
+        this.renderer.endFrame();
     }
 
     /**
-     * 绘制游戏画面
+     * 绘制一个模拟的完整场景（世界坐标）
+     * @param {Simulation} sim - 要绘制的模拟
      */
-    draw() {
-        this.renderer.clear(); // 清除上一帧
-        this.renderer.drawPath(this.path); // 绘制轨道
-        this.renderer.drawChain(this.chain); // 绘制球链
-        this.renderer.drawShooter(this.shooter); // 绘制发射器
-        this.renderer.drawProjectiles(this.projectiles); // 绘制弹射物
+    drawSim(sim) {
+        // 屏幕震动：整个场景按偏移量平移
+        const shake = sim.particles.getShakeOffset();
+        this.renderer.beginShake(shake.x, shake.y);
+        // 接近终点的球链所在轨道闪烁红光
+        const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 1000 * DANGER_PULSE_RATE);
+        sim.paths.forEach((path, i) => {
+            this.renderer.drawPath(path, sim.isChainInDanger(sim.chains[i]) ? pulse : 0); // 绘制轨道
+        });
+        for (const chain of sim.chains) {
+            this.renderer.drawChain(chain); // 绘制球链
+        }
+        if (sim.ending) {
+            for (const marker of sim.ending.markers) {
+                this.renderer.drawBonusMarker(marker.chain.path, marker.start, marker.distance); // 过关奖励标记
+            }
+        }
+        for (const chain of sim.chains) {
+            this.renderer.drawTunnels(chain.path, chain.tunnels); // 隧道盖在球链上方
+        }
+        this.renderer.drawWalls(sim.walls); // 绘制墙
+        this.renderer.drawPickups(sim.pickups.items); // 绘制奖励物品
+        if (sim.shooter.rail) this.renderer.drawRail(sim.shooter.rail); // 绘制发射器滑轨
+        sim.shooters.forEach((shooter, player) => {
+            // 绘制发射器和瞄准线；合作时标出每个发射器属于哪个玩家
+            this.renderer.drawShooter(shooter, sim.getAimGuide(player), sim.players > 1 ? player : null);
+        });
+        this.renderer.drawProjectiles(sim.projectiles); // 绘制弹射物
+        this.renderer.drawParticles(sim.particles); // 绘制粒子特效
+        this.renderer.endShake();
     }
 }
@@ -0,0 +1,137 @@
+import { getDefaultStorage } from './Storage.js';
+
+const LEADERBOARD_KEY = 'zuma-odyssey.leaderboard';
+const LEVEL_STATS_KEY = 'zuma-odyssey.level-stats';
+const PLAYER_NAME_KEY = 'zuma-odyssey.player-name';
+const MAX_ENTRIES = 10;
+
+/**
+ * 排行榜与关卡统计 (HighScores Class)
+ * - 排行榜：得分最高的 10 局 {name, score, level, date, seed}
+ * - 关卡统计：每一关的最高分、最快通关时间、累计射击数、命中数（用于计算准确率）和最大单次消除
+ * 数据通过可替换的存储接口（见 Storage.js）持久化；读取到损坏的数据时视为空。
+ */
+export class HighScores {
+    /**
+     * 初始化排行榜
+     * @param {Storage} storage - 实现 getItem/setItem/removeItem 的存储对象，默认为 localStorage
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+    }
+
+    /**
+     * 读取 JSON 数据，不存在或损坏时返回默认值
+     * @param {string} key - 存储键
+     * @param {*} fallback - 默认值
+     * @returns {*}
+     */
+    read(key, fallback) {
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            console.warn(`Ignoring unreadable ${key}:`, e);
+            return fallback;
+        }
+    }
+
+    /**
+     * 写入 JSON 数据；存储已满或不可用时放弃
+     * @param {string} key - 存储键
+     * @param {*} value - 数据
+     */
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.warn(`Failed to write ${key}:`, e);
+        }
+    }
+
+    /**
+     * 获取排行榜（按得分从高到低）
+     * @returns {Array<Object>} [{name, score, level, date, seed}]
+     */
+    getLeaderboard() {
+        const entries = this.read(LEADERBOARD_KEY, []);
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * 判断某个得分能否进入排行榜
+     * @param {number} score - 得分
+     * @returns {boolean}
+     */
+    qualifies(score) {
+        if (score <= 0) return false;
+        const entries = this.getLeaderboard();
+        return entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score;
+    }
+
+    /**
+     * 提交一局的成绩
+     * @param {Object} entry - {name, score, level, seed, difficulty}，date 自动记录为当前时间
+     * @returns {number} 在排行榜中的名次索引 (0 起)；未能进入排行榜时返回 -1
+     */
+    submit({ name, score, level, seed, difficulty = 'normal' }) {
+        const entry = { name: name.trim() || 'PLAYER', score, level, difficulty, date: new Date().toISOString(), seed };
+        const entries = this.getLeaderboard();
+        entries.push(entry);
+        // 同分时先达到的排在前面
+        entries.sort((a, b) => b.score - a.score);
+        entries.length = Math.min(entries.length, MAX_ENTRIES);
+        this.write(LEADERBOARD_KEY, entries);
+        this.write(PLAYER_NAME_KEY, entry.name);
+        return entries.indexOf(entry);
+    }
+
+    /**
+     * 上一次提交成绩时使用的名字
+     * @returns {string}
+     */
+    getLastName() {
+        return this.read(PLAYER_NAME_KEY, '');
+    }
+
+    /**
+     * 获取某一关的统计数据
+     * @param {number} level - 关卡编号
+     * @returns {Object} {bestScore, fastestClear, shotsFired, shotsHit, largestMatch, accuracy}
+     */
+    getLevelStats(level) {
+        const all = this.read(LEVEL_STATS_KEY, {});
+        const stats = {
+            bestScore: 0,
+            fastestClear: null, // 秒；从未通关时为 null
+            shotsFired: 0,
+            shotsHit: 0,
+            largestMatch: 0,
+            ...(all && all[level])
+        };
+        stats.accuracy = stats.shotsFired > 0 ? stats.shotsHit / stats.shotsFired : 0;
+        return stats;
+    }
+
+    /**
+     * 记录一次关卡结果（通关或失败）并合并到该关的统计中
+     * @param {number} level - 关卡编号
+     * @param {Object} run - Simulation.getLevelStats() 的结果 {score, time, shotsFired, shotsHit, largestMatch}
+     * @param {boolean} cleared - 是否通关
+     * @returns {Object} 合并后的统计数据
+     */
+    recordLevel(level, run, cleared) {
+        const all = this.read(LEVEL_STATS_KEY, {}) || {};
+        const { accuracy, ...prev } = this.getLevelStats(level);
+
+        all[level] = {
+            bestScore: Math.max(prev.bestScore, run.score),
+            fastestClear: cleared && (prev.fastestClear === null || run.time < prev.fastestClear) ? run.time : prev.fastestClear,
+            shotsFired: prev.shotsFired + run.shotsFired,
+            shotsHit: prev.shotsHit + run.shotsHit,
+            largestMatch: Math.max(prev.largestMatch, run.largestMatch)
+        };
+        this.write(LEVEL_STATS_KEY, all);
+        return this.getLevelStats(level);
+    }
+}
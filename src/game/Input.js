@@ -0,0 +1,297 @@
+import { getDefaultStorage } from './Storage.js';
+
+const BINDINGS_KEY = 'zuma-odyssey.bindings';
+
+/**
+ * 默认键位：操作名 -> 按键代码 (KeyboardEvent.code) 列表
+ */
+export const DEFAULT_BINDINGS = {
+    rotateLeft: ['ArrowLeft', 'KeyA'],
+    rotateRight: ['ArrowRight', 'KeyD'],
+    moveLeft: ['KeyQ', 'Comma'],
+    moveRight: ['KeyE', 'Period'],
+    fire: ['ArrowUp', 'KeyW', 'Enter'],
+    swap: ['ArrowDown', 'KeyS'],
+    pause: ['Space', 'Escape']
+};
+
+// 键盘旋转：按住方向键时角速度从 MIN 逐渐加速到 MAX (弧度/秒)，ACCEL 秒后达到最大
+const ROTATE_MIN_SPEED = 1.2;
+const ROTATE_MAX_SPEED = 5;
+const ROTATE_ACCEL_TIME = 0.6;
+
+// 键盘沿滑轨移动发射器的速度 (像素/秒)；滑轨按从左到右定义时 moveRight 朝右
+const RAIL_MOVE_SPEED = 400;
+
+// 手柄：摇杆死区，以及按钮编号（标准布局：A 发射，B / X 交换，Start 暂停）
+const STICK_DEADZONE = 0.3;
+const GAMEPAD_BUTTONS = {
+    fire: [0, 7],  // A、右扳机
+    swap: [1, 2],  // B、X
+    pause: [9]     // Start
+};
+
+/**
+ * 输入管理类 (InputManager Class)
+ * 把鼠标、触摸、键盘和手柄等设备的输入统一转换为玩家操作，交给 handler 处理：
+ * - {type: 'aim', x, y}：瞄准画布上的某个点（鼠标移动、手指拖动）
+ * - {type: 'aim', angle}：直接设置瞄准角度（手柄摇杆）
+ * - {type: 'rotate', delta}：相对旋转瞄准角度（键盘方向键）
+ * - {type: 'move', delta}：沿滑轨移动发射器（键盘，仅在关卡有滑轨时生效）
+ * - {type: 'fire'} / {type: 'swap'} / {type: 'pause'}
+ * 键盘旋转和手柄需要逐帧轮询，由游戏循环调用 update(dt)。
+ * 双人游戏时鼠标和触摸操作玩家 0，键盘和手柄操作 keyboardPlayer 指定的玩家：键盘和手柄产生的操作带有 player 字段。
+ */
+export class InputManager {
+    /**
+     * 初始化输入管理器并绑定事件监听
+     * @param {HTMLCanvasElement} canvas - 游戏画布（鼠标和触摸输入的目标）
+     * @param {Function} handler - 操作处理函数 (action) => void
+     * @param {Storage} storage - 保存自定义键位的存储对象（见 Storage.js），默认为 localStorage
+     */
+    constructor(canvas, handler, storage = getDefaultStorage()) {
+        this.canvas = canvas;
+        this.handler = handler;
+        this.storage = storage;
+        this.bindings = this.loadBindings();
+
+        this.heldKeys = new Set();  // 当前按住的按键代码
+        this.rotateTime = 0;        // 方向键持续按住的时间，用于计算加速
+        this.touches = new Map();   // 进行中的触摸：pointerId -> 是否在松开时发射
+        this.gamepadButtons = {};   // 上一帧手柄各操作的按钮状态，用于检测"按下"的瞬间
+        this.keyboardPlayer = 0;    // 键盘和手柄操作的玩家编号（双人游戏时为 1）
+
+        // 鼠标与触摸统一使用 Pointer Events
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.touches.delete(e.pointerId));
+        // 禁用右键菜单，右键用于交换球
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+        // 窗口失去焦点时收不到 keyup，清空按键状态，避免"卡键"
+        window.addEventListener('blur', () => this.heldKeys.clear());
+    }
+
+    /**
+     * 把指针事件的视口坐标转换为画布坐标
+     * @param {PointerEvent} e - 指针事件
+     * @returns {Object} {x, y}
+     */
+    toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * 指针移动：鼠标直接瞄准；触摸只在手指按下时瞄准
+     * @param {PointerEvent} e - 指针事件
+     */
+    onPointerMove(e) {
+        if (e.pointerType === 'touch' && !this.touches.has(e.pointerId)) return;
+        this.handler({ type: 'aim', ...this.toCanvas(e) });
+    }
+
+    /**
+     * 指针按下：鼠标左键发射、右键交换；触摸开始瞄准，第二根手指按下时交换球
+     * @param {PointerEvent} e - 指针事件
+     */
+    onPointerDown(e) {
+        if (e.pointerType !== 'touch') {
+            this.handler({ type: e.button === 2 ? 'swap' : 'fire' });
+            return;
+        }
+
+        e.preventDefault();
+        if (this.touches.size > 0) {
+            // 双指轻点：交换球，并取消所有手指的松开发射
+            for (const id of this.touches.keys()) this.touches.set(id, false);
+            this.touches.set(e.pointerId, false);
+            this.handler({ type: 'swap' });
+            return;
+        }
+        this.touches.set(e.pointerId, true);
+        this.handler({ type: 'aim', ...this.toCanvas(e) });
+    }
+
+    /**
+     * 指针抬起：单指拖动瞄准后松开即发射
+     * @param {PointerEvent} e - 指针事件
+     */
+    onPointerUp(e) {
+        if (e.pointerType !== 'touch' || !this.touches.has(e.pointerId)) return;
+        const fire = this.touches.get(e.pointerId);
+        this.touches.delete(e.pointerId);
+        if (fire) {
+            this.handler({ type: 'aim', ...this.toCanvas(e) });
+            this.handler({ type: 'fire' });
+        }
+    }
+
+    /**
+     * 键盘按下：触发发射、交换和暂停；旋转键在 update 中按住期间持续生效
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    onKeyDown(e) {
+        // 正在输入文字（如排行榜署名）时不处理游戏按键
+        if (e.target instanceof HTMLInputElement) return;
+        const action = this.getActionForKey(e.code);
+        if (!action) return;
+
+        e.preventDefault(); // 防止空格、方向键导致页面滚动
+        if (e.repeat) return;
+        this.heldKeys.add(e.code);
+        if (action === 'fire' || action === 'swap' || action === 'pause') {
+            this.handler({ type: action, player: this.keyboardPlayer });
+        }
+    }
+
+    /**
+     * 查找按键绑定的操作
+     * @param {string} code - 按键代码
+     * @returns {string|null} 操作名
+     */
+    getActionForKey(code) {
+        for (const action in this.bindings) {
+            if (this.bindings[action].includes(code)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * 判断某个操作的任一绑定按键是否被按住
+     * @param {string} action - 操作名
+     * @returns {boolean}
+     */
+    isHeld(action) {
+        return this.bindings[action].some(code => this.heldKeys.has(code));
+    }
+
+    /**
+     * 每帧轮询：键盘持续旋转、沿滑轨移动和手柄输入
+     * @param {number} dt - 时间增量 (秒)
+     */
+    update(dt) {
+        const dir = (this.isHeld('rotateRight') ? 1 : 0) - (this.isHeld('rotateLeft') ? 1 : 0);
+        if (dir !== 0) {
+            this.rotateTime += dt;
+            const t = Math.min(1, this.rotateTime / ROTATE_ACCEL_TIME);
+            const speed = ROTATE_MIN_SPEED + (ROTATE_MAX_SPEED - ROTATE_MIN_SPEED) * t;
+            this.handler({ type: 'rotate', player: this.keyboardPlayer, delta: dir * speed * dt });
+        } else {
+            this.rotateTime = 0;
+        }
+
+        const move = (this.isHeld('moveRight') ? 1 : 0) - (this.isHeld('moveLeft') ? 1 : 0);
+        if (move !== 0) {
+            this.handler({ type: 'move', player: this.keyboardPlayer, delta: move * RAIL_MOVE_SPEED * dt });
+        }
+
+        this.pollGamepads();
+    }
+
+    /**
+     * 读取已连接的手柄：任一摇杆推出死区时瞄准该方向，按钮按下的瞬间触发对应操作
+     */
+    pollGamepads() {
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pressed = {};
+
+        for (const pad of pads) {
+            if (!pad) continue;
+            // 左右摇杆取推得更远的那个
+            let best = null;
+            for (let i = 0; i + 1 < pad.axes.length && i < 4; i += 2) {
+                const x = pad.axes[i];
+                const y = pad.axes[i + 1];
+                const magnitude = Math.hypot(x, y);
+                if (magnitude > STICK_DEADZONE && (!best || magnitude > best.magnitude)) {
+                    best = { x, y, magnitude };
+                }
+            }
+            if (best) {
+                this.handler({ type: 'aim', player: this.keyboardPlayer, angle: Math.atan2(best.y, best.x) });
+            }
+
+            for (const action in GAMEPAD_BUTTONS) {
+                if (GAMEPAD_BUTTONS[action].some(i => pad.buttons[i] && pad.buttons[i].pressed)) {
+                    pressed[action] = true;
+                }
+            }
+        }
+
+        for (const action in GAMEPAD_BUTTONS) {
+            if (pressed[action] && !this.gamepadButtons[action]) {
+                this.handler({ type: action, player: this.keyboardPlayer });
+            }
+        }
+        this.gamepadButtons = pressed;
+    }
+
+    /**
+     * 读取保存的自定义键位，缺失或损坏的部分使用默认键位
+     * @returns {Object} 操作名 -> 按键代码列表
+     */
+    loadBindings() {
+        const bindings = {};
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(BINDINGS_KEY)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable key bindings:', e);
+        }
+        for (const action in DEFAULT_BINDINGS) {
+            const codes = saved[action];
+            bindings[action] = Array.isArray(codes) && codes.every(c => typeof c === 'string')
+                ? codes
+                : [...DEFAULT_BINDINGS[action]];
+        }
+        return bindings;
+    }
+
+    /**
+     * 获取当前键位
+     * @returns {Object} 操作名 -> 按键代码列表
+     */
+    getBindings() {
+        return this.bindings;
+    }
+
+    /**
+     * 把按键绑定到某个操作（替换该操作原有的第一个按键），并保存
+     * 该按键原先绑定的其它操作会解除绑定，保证一个按键只对应一个操作
+     * @param {string} action - 操作名
+     * @param {string} code - 按键代码
+     */
+    rebind(action, code) {
+        if (!this.bindings[action]) throw new Error(`Unknown input action: ${action}`);
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        }
+        this.bindings[action][0] = code;
+        this.saveBindings();
+    }
+
+    /**
+     * 恢复默认键位并保存
+     */
+    resetBindings() {
+        for (const action in DEFAULT_BINDINGS) {
+            this.bindings[action] = [...DEFAULT_BINDINGS[action]];
+        }
+        this.saveBindings();
+    }
+
+    /**
+     * 保存当前键位；存储不可用时放弃
+     */
+    saveBindings() {
+        try {
+            this.storage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Failed to save key bindings:', e);
+        }
+    }
+}
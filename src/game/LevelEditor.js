@@ -0,0 +1,570 @@
+import { LevelLoader } from './LevelLoader.js';
+import { Path } from './Path.js';
+import { Shooter } from './Shooter.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { Random } from './Random.js';
+
+const HANDLE_RADIUS = 10;      // 控制点手柄的绘制半径 (世界坐标)
+const HIT_RADIUS = 16;         // 点击控制点的判定半径
+const INSERT_DISTANCE = 14;    // 点击位置离控制线这么近时，把新点插入到该线段中间
+const BALL_DIAMETER = 36;      // 球的直径，与 BallChain 的 ballRadius 一致
+const SHOOTER_CLEARANCE = 60;  // 轨道与发射器中心的最小距离（约为发射器半径 + 球直径）
+const SAMPLE_STEP = BALL_DIAMETER / 3; // 检查重叠时沿路径采样的间隔
+
+/**
+ * 新建关卡时使用的模板
+ */
+const DEFAULT_LEVEL = {
+    name: 'Custom Level',
+    tracks: [
+        {
+            path: {
+                type: 'catmull-rom',
+                points: [[0.08, 0.12], [0.85, 0.12], [0.9, 0.8], [0.15, 0.85], [0.25, 0.4]],
+                steps: 30
+            },
+            ballCount: 40
+        }
+    ],
+    shooter: [0.55, 0.5],
+    speed: 60,
+    palette: ['#ff0055', '#00f2ff', '#00ff00', '#ffff00'],
+    powerUps: { reverse: 0.02, slow: 0.02, accuracy: 0.01, bomb: 0.01 }
+};
+
+/**
+ * 深拷贝纯数据对象
+ * @param {Object} data - 可 JSON 序列化的数据
+ * @returns {Object}
+ */
+function clone(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * 坐标保留 3 位小数，导出的 JSON 更易读
+ * @param {number} value - 归一化坐标
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 关卡编辑器 (LevelEditor Class)
+ * 在游戏画布上编辑关卡：拖动轨道控制点（最后一个控制点即骷髅头所在的终点）和发射器，
+ * 点击空白处添加控制点，右键删除控制点；修改后立即使用 Renderer 重绘预览。
+ * 关卡数据与 levels.json 中的关卡格式相同，可以导出、导入并直接试玩。
+ * 编辑器还会检查轨道自身重叠、离发射器太近等问题，并在预览中标出位置。
+ */
+export class LevelEditor {
+    /**
+     * 初始化关卡编辑器（默认处于关闭状态）
+     * @param {Game} game - 游戏实例，编辑器复用它的画布、视口和渲染器
+     * @param {Object} callbacks - {onChange}：关卡数据或选中的轨道改变时调用，用于刷新编辑面板
+     */
+    constructor(game, callbacks = {}) {
+        this.game = game;
+        this.callbacks = callbacks;
+        this.width = game.width;
+        this.height = game.height;
+        this.active = false;
+        this.level = clone(DEFAULT_LEVEL);
+        this.trackIndex = 0;  // 当前编辑的轨道
+        this.dragging = null; // 正在拖动的手柄 {kind: 'point' | 'shooter', track, index}
+        this.warnings = [];
+
+        const canvas = game.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', () => { this.dragging = null; });
+        canvas.addEventListener('pointercancel', () => { this.dragging = null; });
+    }
+
+    /**
+     * 打开编辑器
+     * @param {Object} [level] - 要编辑的关卡，缺省时继续编辑上一次的关卡
+     */
+    open(level) {
+        if (level) this.setLevel(level);
+        this.active = true;
+        this.changed();
+    }
+
+    /**
+     * 关闭编辑器（不会清除正在编辑的关卡）
+     */
+    close() {
+        this.active = false;
+        this.dragging = null;
+    }
+
+    /**
+     * 替换正在编辑的关卡；会先校验并转换为编辑器可编辑的格式
+     * @param {Object} level - 关卡定义
+     */
+    setLevel(level) {
+        const normalized = LevelLoader.validate(clone(level), 1);
+        normalized.tracks = normalized.tracks.map(track => ({
+            ...track,
+            path: this.toEditablePath(track.path)
+        }));
+        this.level = normalized;
+        this.trackIndex = 0;
+        this.changed();
+    }
+
+    /**
+     * 螺旋轨道没有控制点，转换为经过螺旋线上若干点的 Catmull-Rom 曲线
+     * @param {Object} path - 路径定义
+     * @returns {Object} 带控制点的路径定义
+     */
+    toEditablePath(path) {
+        if (path.type !== 'spiral') return path;
+        const spiral = new Path(this.width, this.height, path);
+        const points = [];
+        for (let i = 0; i < spiral.points.length; i += 25) {
+            const p = spiral.points[i];
+            points.push([round(p.x / this.width), round(p.y / this.height)]);
+        }
+        const last = spiral.points[spiral.points.length - 1];
+        points.push([round(last.x / this.width), round(last.y / this.height)]);
+        return { type: 'catmull-rom', points, steps: 30 };
+    }
+
+    /**
+     * 获取正在编辑的关卡（副本）
+     * @returns {Object} 关卡定义
+     */
+    getLevel() {
+        return clone(this.level);
+    }
+
+    /**
+     * 当前编辑的轨道
+     * @returns {Object} {path, ballCount}
+     */
+    get track() {
+        return this.level.tracks[this.trackIndex];
+    }
+
+    // ==========================================
+    // 编辑操作
+    // ==========================================
+
+    /**
+     * 选择要编辑的轨道
+     * @param {number} index - 轨道索引
+     */
+    selectTrack(index) {
+        this.trackIndex = Math.max(0, Math.min(index, this.level.tracks.length - 1));
+        this.changed();
+    }
+
+    /**
+     * 添加一条新轨道（从模板复制）并选中它
+     */
+    addTrack() {
+        this.level.tracks.push(clone(DEFAULT_LEVEL.tracks[0]));
+        this.selectTrack(this.level.tracks.length - 1);
+    }
+
+    /**
+     * 删除当前轨道（至少保留一条）
+     */
+    removeTrack() {
+        if (this.level.tracks.length <= 1) return;
+        this.level.tracks.splice(this.trackIndex, 1);
+        this.selectTrack(this.trackIndex);
+    }
+
+    /**
+     * 修改当前轨道的曲线类型（控制点保持不变）
+     * @param {string} type - 'catmull-rom' | 'polyline' | 'bezier'
+     */
+    setPathType(type) {
+        this.track.path.type = type;
+        this.changed();
+    }
+
+    /**
+     * 修改当前轨道的球数
+     * @param {number} count - 球数
+     */
+    setBallCount(count) {
+        this.track.ballCount = count;
+        this.changed();
+    }
+
+    /**
+     * 修改关卡属性
+     * @param {string} key - 'name' | 'speed' | 'palette'
+     * @param {*} value - 新值
+     */
+    setProperty(key, value) {
+        this.level[key] = value;
+        this.changed();
+    }
+
+    /**
+     * 数据改变后：重新检查问题、重绘预览并通知编辑面板
+     */
+    changed() {
+        this.warnings = this.getWarnings();
+        if (this.active) this.draw();
+        if (this.callbacks.onChange) this.callbacks.onChange();
+    }
+
+    // ==========================================
+    // 指针操作
+    // ==========================================
+
+    /**
+     * 将指针事件转换为世界坐标
+     * @param {PointerEvent} e - 指针事件
+     * @returns {Object} {x, y}
+     */
+    toWorld(e) {
+        const rect = this.game.canvas.getBoundingClientRect();
+        return this.game.viewport.toWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    /**
+     * 查找指定位置的手柄：优先当前轨道的控制点，其次发射器，最后其它轨道的控制点
+     * @param {number} x - 世界 X 坐标
+     * @param {number} y - 世界 Y 坐标
+     * @returns {Object|null} {kind, track, index}
+     */
+    findHandle(x, y) {
+        const hit = (point) => Math.hypot(point[0] * this.width - x, point[1] * this.height - y) <= HIT_RADIUS;
+
+        const current = this.track.path.points.findIndex(hit);
+        if (current !== -1) return { kind: 'point', track: this.trackIndex, index: current };
+        if (hit(this.level.shooter)) return { kind: 'shooter' };
+        for (const t of this.level.tracks.keys()) {
+            const index = this.level.tracks[t].path.points.findIndex(hit);
+            if (index !== -1) return { kind: 'point', track: t, index };
+        }
+        return null;
+    }
+
+    /**
+     * 指针按下：拖动手柄；右键删除控制点；点击空白处添加控制点
+     * @param {PointerEvent} e - 指针事件
+     */
+    onPointerDown(e) {
+        if (!this.active) return;
+        const { x, y } = this.toWorld(e);
+        const handle = this.findHandle(x, y);
+
+        if (handle && handle.kind === 'point' && handle.track !== this.trackIndex) {
+            // 点击其它轨道的控制点：切换到该轨道
+            this.selectTrack(handle.track);
+        }
+
+        if (e.button === 2) {
+            if (handle && handle.kind === 'point') this.removePoint(handle.index);
+            return;
+        }
+
+        if (handle) {
+            this.dragging = handle;
+            this.game.canvas.setPointerCapture(e.pointerId);
+        } else {
+            this.addPoint(x, y);
+        }
+    }
+
+    /**
+     * 指针移动：拖动手柄到新位置（限制在世界范围内）
+     * @param {PointerEvent} e - 指针事件
+     */
+    onPointerMove(e) {
+        if (!this.active || !this.dragging) return;
+        const { x, y } = this.toWorld(e);
+        const point = [
+            round(Math.min(1, Math.max(0, x / this.width))),
+            round(Math.min(1, Math.max(0, y / this.height)))
+        ];
+
+        if (this.dragging.kind === 'shooter') {
+            this.level.shooter = point;
+        } else {
+            this.level.tracks[this.dragging.track].path.points[this.dragging.index] = point;
+        }
+        this.changed();
+    }
+
+    /**
+     * 添加控制点：靠近某条控制线时插入到该线段中间，否则追加到末尾（成为新的终点）
+     * 贝塞尔曲线每段需要 3 个点，点数必须保持 3n + 1：
+     * 插入时把新点作为锚点放在所在段的末尾，并补上通往原终点的两个控制点；追加时补上通往新点的两个控制点
+     * @param {number} x - 世界 X 坐标
+     * @param {number} y - 世界 Y 坐标
+     */
+    addPoint(x, y) {
+        const points = this.track.path.points;
+        const point = [round(x / this.width), round(y / this.height)];
+        const bezier = this.track.path.type === 'bezier';
+        // 两点之间三等分处的控制点
+        const lerp = (a, b, t) => [round(a[0] + (b[0] - a[0]) * t), round(a[1] + (b[1] - a[1]) * t)];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            if (this.distanceToSegment(x, y, points[i], points[i + 1]) <= INSERT_DISTANCE) {
+                if (bezier) {
+                    // 所在段为 points[3s] ~ points[3s + 3]，把它拆成两段
+                    const end = (Math.floor(i / 3) + 1) * 3;
+                    points.splice(end, 0, point, lerp(point, points[end], 1 / 3), lerp(point, points[end], 2 / 3));
+                } else {
+                    points.splice(i + 1, 0, point);
+                }
+                this.changed();
+                return;
+            }
+        }
+
+        if (bezier) {
+            const last = points[points.length - 1];
+            points.push(lerp(last, point, 1 / 3), lerp(last, point, 2 / 3));
+        }
+        points.push(point);
+        this.changed();
+    }
+
+    /**
+     * 删除当前轨道的一个控制点（至少保留 2 个）
+     * 贝塞尔曲线删除离该点最近的锚点及其两侧的控制点，保持 3n + 1 个点（至少保留一段）：
+     * 起点和终点连同相邻的两个控制点一起删除，中间的锚点删除后前后两段合并为一段
+     * @param {number} index - 控制点索引
+     */
+    removePoint(index) {
+        const points = this.track.path.points;
+        if (this.track.path.type === 'bezier') {
+            if (points.length - 3 < 4) return;
+            const anchor = Math.round(index / 3) * 3;
+            const start = anchor === 0 ? 0 : (anchor === points.length - 1 ? anchor - 2 : anchor - 1);
+            points.splice(start, 3);
+        } else {
+            if (points.length <= 2) return;
+            points.splice(index, 1);
+        }
+        this.changed();
+    }
+
+    /**
+     * 计算点到线段的距离 (世界坐标)
+     * @param {number} x - 点 X 坐标
+     * @param {number} y - 点 Y 坐标
+     * @param {Array<number>} a - 线段起点（归一化坐标）
+     * @param {Array<number>} b - 线段终点（归一化坐标）
+     * @returns {number}
+     */
+    distanceToSegment(x, y, a, b) {
+        const ax = a[0] * this.width;
+        const ay = a[1] * this.height;
+        const dx = b[0] * this.width - ax;
+        const dy = b[1] * this.height - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+        return Math.hypot(ax + dx * t - x, ay + dy * t - y);
+    }
+
+    // ==========================================
+    // 检查
+    // ==========================================
+
+    /**
+     * 生成某条轨道的路径；控制点不合法时返回 null
+     * @param {Object} track - 轨道定义
+     * @returns {Path|null}
+     */
+    buildPath(track) {
+        try {
+            return new Path(this.width, this.height, track.path);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 创建关卡的发射器滑轨，滑轨定义不完整时返回 null
+     * @returns {Object|null} {path, aimArc}
+     */
+    buildRail() {
+        try {
+            return LevelLoader.buildRail(this.level, this.width, this.height);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 检查关卡中的问题
+     * - 关卡数据不合法（与加载关卡时的校验相同）
+     * - 轨道与自身重叠：沿路径相距较远的两处，实际距离小于一个球的直径
+     * - 轨道离发射器太近（有滑轨时检查整条滑轨）
+     * @returns {Array<Object>} [{message, x, y}]，x, y 为问题位置（世界坐标），没有位置时省略
+     */
+    getWarnings() {
+        const warnings = [];
+        try {
+            LevelLoader.validate(this.level, 1);
+        } catch (e) {
+            warnings.push({ message: e.message.replace(/^Level 1: /, '') });
+        }
+
+        // 发射器可能出现的位置：固定发射器只有一个点，有滑轨时沿滑轨等距采样
+        const rail = this.buildRail();
+        const shooterPoints = [];
+        if (rail) {
+            for (let d = 0; d <= rail.path.totalLength; d += SAMPLE_STEP) shooterPoints.push(rail.path.getPointAt(d));
+        } else {
+            shooterPoints.push({ x: this.level.shooter[0] * this.width, y: this.level.shooter[1] * this.height });
+        }
+
+        this.level.tracks.forEach((track, t) => {
+            const path = this.buildPath(track);
+            if (!path) return;
+
+            // 沿路径等距采样，放入空间网格，查找实际距离很近但沿路径相距较远的采样点
+            const samples = [];
+            for (let d = 0; d <= path.totalLength; d += SAMPLE_STEP) {
+                samples.push({ d, ...path.getPointAt(d) });
+            }
+            const grid = new SpatialGrid(BALL_DIAMETER);
+            for (const s of samples) grid.insert(s, s.x, s.y);
+
+            let overlap = null;
+            let nearShooter = null;
+            for (const s of samples) {
+                if (!nearShooter && shooterPoints.some(p => Math.hypot(s.x - p.x, s.y - p.y) < SHOOTER_CLEARANCE)) {
+                    nearShooter = s;
+                }
+                if (overlap) continue;
+                for (const other of grid.query(s.x, s.y, BALL_DIAMETER)) {
+                    // 沿路径相距不到 π 个直径的点属于同一段弯道，不算重叠
+                    if (other.d - s.d > BALL_DIAMETER * Math.PI &&
+                        Math.hypot(other.x - s.x, other.y - s.y) < BALL_DIAMETER) {
+                        overlap = other;
+                        break;
+                    }
+                }
+            }
+
+            if (overlap) {
+                warnings.push({ message: `Track ${t + 1} overlaps itself`, x: overlap.x, y: overlap.y });
+            }
+            if (nearShooter) {
+                warnings.push({ message: `Track ${t + 1} runs too close to the shooter`, x: nearShooter.x, y: nearShooter.y });
+            }
+        });
+        return warnings;
+    }
+
+    // ==========================================
+    // 导入导出
+    // ==========================================
+
+    /**
+     * 导出关卡为 JSON 文本（可直接放入 levels.json 的 levels 数组）
+     * @returns {string}
+     */
+    exportJSON() {
+        return JSON.stringify(this.level, null, 4);
+    }
+
+    /**
+     * 从 JSON 文本导入关卡
+     * 支持单个关卡对象，或完整的关卡文件 {levels: [...]}（取第一关）
+     * @param {string} text - JSON 文本
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const level = data && Array.isArray(data.levels) ? data.levels[0] : data;
+        if (!level || typeof level !== 'object') throw new Error('No level found in file');
+        this.setLevel(level);
+    }
+
+    // ==========================================
+    // 绘制
+    // ==========================================
+
+    /**
+     * 绘制编辑预览：轨道、发射器、控制线、控制点手柄和问题标记
+     */
+    draw() {
+        const renderer = this.game.renderer;
+        const ctx = renderer.ctx;
+        renderer.beginFrame();
+
+        // 轨道和发射器使用与游戏中相同的绘制方法
+        for (const track of this.level.tracks) {
+            const path = this.buildPath(track);
+            if (path) {
+                renderer.drawPath(path);
+                renderer.drawTunnels(path, LevelLoader.buildTunnels(track, path));
+            }
+        }
+        renderer.drawWalls(LevelLoader.buildWalls(this.level, this.width, this.height));
+        const shooter = new Shooter(
+            this.level.shooter[0] * this.width,
+            this.level.shooter[1] * this.height,
+            this.level.palette,
+            new Random(1)
+        );
+        const rail = this.buildRail();
+        if (rail) {
+            renderer.drawRail(rail.path);
+            shooter.setRail(rail.path, rail.aimArc);
+        }
+        renderer.drawShooter(shooter);
+
+        // 控制线和控制点：当前轨道高亮，起点为绿色，终点（骷髅头）为红色
+        this.level.tracks.forEach((track, t) => {
+            const selected = t === this.trackIndex;
+            const points = track.path.points.map(p => ({ x: p[0] * this.width, y: p[1] * this.height }));
+
+            ctx.save();
+            ctx.globalAlpha = selected ? 1 : 0.35;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            points.forEach((p, i) => {
+                const isStart = i === 0;
+                const isEnd = i === points.length - 1;
+                ctx.fillStyle = isStart ? '#00ff00' : isEnd ? '#ff0055' : '#00f2ff';
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, isEnd ? HANDLE_RADIUS + 12 : HANDLE_RADIUS, 0, Math.PI * 2);
+                if (isEnd) {
+                    ctx.stroke(); // 终点只画一圈，不遮住骷髅头
+                } else {
+                    ctx.fill();
+                    ctx.stroke();
+                }
+            });
+            ctx.restore();
+        });
+
+        // 问题位置：红色虚线圆圈
+        ctx.save();
+        ctx.strokeStyle = '#ff0055';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([4, 4]);
+        for (const warning of this.warnings) {
+            if (warning.x === undefined) continue;
+            ctx.beginPath();
+            ctx.arc(warning.x, warning.y, BALL_DIAMETER, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        renderer.endFrame();
+    }
+}
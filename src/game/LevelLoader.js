@@ -0,0 +1,223 @@
+import levelData from '../levels/levels.json' with { type: 'json' };
+import { Path } from './Path.js';
+import { BallChain } from './BallChain.js';
+import { Shooter } from './Shooter.js';
+import { POWER_UP_TYPES } from './PowerUps.js';
+import { DIFFICULTIES, getColorCount } from './Difficulty.js';
+
+const PATH_TYPES = ['spiral', 'polyline', 'bezier', 'catmull-rom'];
+const RAIL_PATH_TYPES = ['polyline', 'bezier', 'catmull-rom'];
+const SPEED_PROFILE_KEYS = ['rushUntil', 'rushFactor', 'slowFrom', 'slowFactor'];
+const COOP_SHOOTER_SPACING = 90; // 双人合作时两个发射器中心的水平间距 (像素)
+
+/**
+ * 关卡加载器 (LevelLoader Class)
+ * 读取 JSON 格式的关卡数据，并据此创建路径、球链和发射器。
+ * 关卡数据位于 src/levels/levels.json，设计师只需编辑该文件即可添加新关卡。
+ */
+export class LevelLoader {
+    /**
+     * 初始化关卡加载器
+     * @param {Object} data - 关卡数据 {version, endless, levels}，默认为内置关卡文件
+     */
+    constructor(data = levelData) {
+        if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+            throw new Error('Level data must contain a non-empty "levels" array');
+        }
+        this.levels = data.levels.map((level, i) => LevelLoader.validate(level, i + 1));
+        this.endless = { speedStep: 5, ballCountStep: 10, ...data.endless };
+    }
+
+    /**
+     * 校验单个关卡定义，缺失或格式错误时抛出带关卡编号的错误
+     * 兼容旧的单轨道写法 ({path, ballCount})，会被转换为只有一条轨道的 tracks 数组
+     * @param {Object} level - 原始关卡定义
+     * @param {number} number - 关卡编号（用于错误信息）
+     * @returns {Object} 规范化后的关卡定义
+     */
+    static validate(level, number) {
+        const fail = (msg) => { throw new Error(`Level ${number}: ${msg}`); };
+
+        const tracks = level.tracks || (level.path ? [{ path: level.path, ballCount: level.ballCount }] : null);
+        if (!Array.isArray(tracks) || tracks.length === 0) fail('tracks must be a non-empty array');
+
+        tracks.forEach((track, t) => {
+            const where = `tracks[${t}]`;
+            if (!track.path || !PATH_TYPES.includes(track.path.type)) {
+                fail(`${where}.path.type must be one of ${PATH_TYPES.join(', ')}`);
+            }
+            if (track.path.type !== 'spiral') {
+                const points = track.path.points;
+                if (!Array.isArray(points) || points.length < 2) fail(`${where}.path.points needs at least 2 points`);
+                if (track.path.type === 'bezier' && (points.length - 1) % 3 !== 0) {
+                    fail(`${where} bezier path.points must have 3n + 1 entries`);
+                }
+            }
+            if (!(track.ballCount > 0)) fail(`${where}.ballCount must be positive`);
+            for (const tunnel of track.tunnels || []) {
+                if (!Array.isArray(tunnel) || !(tunnel[0] >= 0 && tunnel[0] < tunnel[1] && tunnel[1] <= 1)) {
+                    fail(`${where}.tunnels entries must be [start, end] with 0 <= start < end <= 1`);
+                }
+            }
+        });
+        if (!Array.isArray(level.shooter) || level.shooter.length !== 2) fail('shooter must be [x, y]');
+        if (level.shooterRail !== undefined) {
+            const rail = level.shooterRail;
+            if (!rail || !rail.path || !RAIL_PATH_TYPES.includes(rail.path.type)) {
+                fail(`shooterRail.path.type must be one of ${RAIL_PATH_TYPES.join(', ')}`);
+            }
+            const points = rail.path.points;
+            if (!Array.isArray(points) || points.length < 2) fail('shooterRail.path.points needs at least 2 points');
+            if (rail.path.type === 'bezier' && (points.length - 1) % 3 !== 0) {
+                fail('shooterRail bezier path.points must have 3n + 1 entries');
+            }
+            const arc = rail.aimArc;
+            if (arc !== undefined && !(Array.isArray(arc) && arc.length === 2 && arc[0] < arc[1] && arc[1] - arc[0] <= 360)) {
+                fail('shooterRail.aimArc must be [min, max] degrees with min < max and a span of at most 360');
+            }
+        }
+        if (!(level.speed > 0)) fail('speed must be positive');
+        if (!Array.isArray(level.palette) || level.palette.length === 0) fail('palette must be a non-empty array');
+        for (const wall of level.walls || []) {
+            if (!Array.isArray(wall) || wall.length !== 4 || !wall.every(Number.isFinite) || !(wall[2] > 0 && wall[3] > 0)) {
+                fail('walls entries must be [x, y, width, height] with positive size');
+            }
+        }
+        if (level.speedProfile !== undefined) {
+            const profile = level.speedProfile;
+            if (!profile || typeof profile !== 'object') fail('speedProfile must be an object');
+            for (const key of Object.keys(profile)) {
+                if (!SPEED_PROFILE_KEYS.includes(key)) fail(`unknown speedProfile key "${key}"`);
+                if (!(profile[key] >= 0)) fail(`speedProfile.${key} must be a non-negative number`);
+            }
+        }
+        if (level.runChance !== undefined && !(level.runChance >= 0 && level.runChance <= 1)) {
+            fail('runChance must be a probability between 0 and 1');
+        }
+        for (const [type, chance] of Object.entries(level.powerUps || {})) {
+            if (!POWER_UP_TYPES.includes(type)) fail(`unknown power-up "${type}"`);
+            if (!(chance >= 0 && chance <= 1)) fail(`powerUps.${type} must be a probability between 0 and 1`);
+        }
+
+        const { path, ballCount, ...rest } = level;
+        return { ...rest, tracks };
+    }
+
+    /**
+     * 获取指定关卡在某个难度下的定义
+     * 超出已定义关卡数量时循环使用已有关卡，并按 endless 配置逐关提高速度和球数；
+     * 之后按难度预设缩放速度和球数、截取调色板的前几种颜色，并合并速度曲线和同色串概率
+     * @param {number} levelNumber - 关卡编号 (从 1 开始)
+     * @param {Object} difficulty - 难度预设（见 Difficulty.js），默认为普通难度
+     * @returns {Object} 关卡定义
+     */
+    getLevel(levelNumber, difficulty = DIFFICULTIES.normal) {
+        const index = (levelNumber - 1) % this.levels.length;
+        const base = this.levels[index];
+        const extra = levelNumber - 1 - index; // 与原始关卡相差的关数
+
+        return {
+            ...base,
+            speed: (base.speed + extra * this.endless.speedStep) * difficulty.speedScale,
+            palette: base.palette.slice(0, getColorCount(difficulty, levelNumber, base.palette.length)),
+            speedProfile: { ...difficulty.speedProfile, ...base.speedProfile },
+            runChance: base.runChance ?? difficulty.runChance,
+            tracks: base.tracks.map(track => ({
+                ...track,
+                ballCount: Math.max(1, Math.round((track.ballCount + extra * this.endless.ballCountStep) * difficulty.ballCountScale))
+            }))
+        };
+    }
+
+    /**
+     * 根据关卡编号创建该关卡的所有游戏对象
+     * 每条轨道对应一条路径和一条独立的球链（各自拥有生成数量和终点骷髅头）
+     * @param {number} levelNumber - 关卡编号
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @param {Random} rng - 共享的随机数生成器
+     * @param {Object} difficulty - 难度预设（见 Difficulty.js）
+     * @param {EventBus} [events] - 事件总线，球链通过它通知生成新球等事件
+     * @param {number} [players] - 玩家人数，每个玩家一个发射器（见 buildShooters）
+     * @returns {Object} {level, paths, chains, shooters, walls}
+     */
+    build(levelNumber, width, height, rng, difficulty, events = null, players = 1) {
+        const level = this.getLevel(levelNumber, difficulty);
+        const paths = level.tracks.map(track => new Path(width, height, track.path));
+        const chains = level.tracks.map((track, i) => new BallChain(paths[i], {
+            speed: level.speed,
+            maxBalls: track.ballCount,
+            colors: level.palette,
+            powerUps: level.powerUps || {},
+            speedProfile: level.speedProfile,
+            runChance: level.runChance,
+            tunnels: LevelLoader.buildTunnels(track, paths[i]),
+            rng,
+            track: i,
+            events
+        }));
+        const shooters = LevelLoader.buildShooters(level, width, height, rng, players);
+        const walls = LevelLoader.buildWalls(level, width, height);
+        return { level, paths, chains, shooters, walls };
+    }
+
+    /**
+     * 为每个玩家创建一个发射器
+     * 单人时发射器位于关卡的 shooter 位置；多人时以该位置为中心水平排开，
+     * 关卡有滑轨时各自放到滑轨上横坐标最接近的点。所有发射器共享随机数生成器
+     * @param {Object} level - 关卡定义
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @param {Random} rng - 共享的随机数生成器
+     * @param {number} players - 玩家人数
+     * @returns {Array<Shooter>}
+     */
+    static buildShooters(level, width, height, rng, players) {
+        const rail = LevelLoader.buildRail(level, width, height);
+        return Array.from({ length: players }, (_, i) => {
+            const offset = (i - (players - 1) / 2) * COOP_SHOOTER_SPACING;
+            const shooter = new Shooter(level.shooter[0] * width + offset, level.shooter[1] * height, level.palette, rng);
+            if (rail) shooter.setRail(rail.path, rail.aimArc);
+            return shooter;
+        });
+    }
+
+    /**
+     * 把轨道的隧道区间（路径长度的比例）转换为路径距离 (像素)
+     * @param {Object} track - 轨道定义
+     * @param {Path} path - 该轨道的路径
+     * @returns {Array<Array<number>>} [[startDistance, endDistance], ...]
+     */
+    static buildTunnels(track, path) {
+        return (track.tunnels || []).map(([start, end]) => [start * path.totalLength, end * path.totalLength]);
+    }
+
+    /**
+     * 创建关卡的发射器滑轨
+     * 滑轨的路径格式与轨道相同（不支持螺旋线），aimArc 以角度表示（0 为正右方，-90 为正上方），
+     * 转换为弧度；省略 aimArc 时不限制瞄准角度
+     * @param {Object} level - 关卡定义
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @returns {Object|null} {path, aimArc}；关卡没有滑轨时返回 null
+     */
+    static buildRail(level, width, height) {
+        if (!level.shooterRail) return null;
+        const { path, aimArc } = level.shooterRail;
+        return {
+            path: new Path(width, height, path),
+            aimArc: aimArc ? aimArc.map(deg => deg * Math.PI / 180) : null
+        };
+    }
+
+    /**
+     * 把关卡的墙（归一化矩形）转换为世界坐标
+     * @param {Object} level - 关卡定义
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @returns {Array<Object>} [{x, y, w, h}, ...]
+     */
+    static buildWalls(level, width, height) {
+        return (level.walls || []).map(([x, y, w, h]) => ({ x: x * width, y: y * height, w: w * width, h: h * height }));
+    }
+}
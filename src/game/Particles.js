@@ -0,0 +1,168 @@
+import { Random } from './Random.js';
+
+const GRAVITY = 300; // 粒子受到的重力加速度 (像素/秒²)，文字粒子不受影响
+
+/**
+ * 粒子系统 (ParticleSystem Class)
+ * 负责消除爆裂、撞击火花、飘字和屏幕震动等视觉特效。
+ * 粒子对象预先分配在对象池中循环使用，避免每帧创建大量对象造成 GC 卡顿。
+ * 特效只影响画面，使用独立的随机数生成器，不会改变游戏对局的随机序列。
+ */
+export class ParticleSystem {
+    /**
+     * 初始化粒子系统
+     * @param {number} capacity - 对象池容量（同时存在的最大粒子数），池满时新粒子会被丢弃
+     */
+    constructor(capacity = 600) {
+        this.pool = [];
+        for (let i = 0; i < capacity; i++) {
+            this.pool.push({ type: 'dot', x: 0, y: 0, vx: 0, vy: 0, life: 0, maxLife: 0, size: 0, color: '#fff', text: '' });
+        }
+        this.free = this.pool.slice(); // 空闲粒子
+        this.active = [];              // 活动粒子（渲染器遍历此数组）
+        this.rng = new Random(Random.createSeed());
+
+        this.shakeTime = 0;      // 屏幕震动剩余时间
+        this.shakeDuration = 0;  // 本次震动总时长
+        this.shakeIntensity = 0; // 震动幅度 (像素)
+    }
+
+    /**
+     * 从对象池取出一个粒子并初始化
+     * @param {Object} props - 粒子属性
+     * @returns {Object|null} 粒子；池已满时返回 null
+     */
+    spawn(props) {
+        const p = this.free.pop();
+        if (!p) return null;
+        Object.assign(p, { vx: 0, vy: 0, size: 3, text: '' }, props);
+        p.maxLife = p.life;
+        this.active.push(p);
+        return p;
+    }
+
+    /**
+     * 消除爆裂：向四周散开的彩色粒子
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {string} color - 粒子颜色（被消除球的颜色）
+     * @param {number} count - 粒子数量
+     */
+    burst(x, y, color, count = 12) {
+        for (let i = 0; i < count; i++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 80 + this.rng.next() * 180;
+            this.spawn({
+                type: 'dot',
+                x, y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 0.4 + this.rng.next() * 0.4,
+                size: 2 + this.rng.next() * 3,
+                color
+            });
+        }
+    }
+
+    /**
+     * 撞击火花：弹射物击中球链处的短促亮线
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {string} color - 火花颜色
+     */
+    sparks(x, y, color) {
+        for (let i = 0; i < 8; i++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 150 + this.rng.next() * 150;
+            this.spawn({
+                type: 'spark',
+                x, y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 0.15 + this.rng.next() * 0.15,
+                size: 2,
+                color
+            });
+        }
+    }
+
+    /**
+     * 飘字：从指定位置向上飘起并淡出的文字（如得分）
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {string} text - 文字内容
+     * @param {string} color - 文字颜色
+     * @param {number} size - 字号 (像素)
+     */
+    floatingText(x, y, text, color = '#fff', size = 22) {
+        this.spawn({ type: 'text', x, y, vy: -60, life: 1, size, color, text });
+    }
+
+    /**
+     * 触发屏幕震动；正在震动时取较大的幅度
+     * @param {number} intensity - 震动幅度 (像素)
+     * @param {number} duration - 持续时间 (秒)
+     */
+    shake(intensity, duration = 0.3) {
+        if (intensity >= this.shakeIntensity || this.shakeTime <= 0) {
+            this.shakeIntensity = intensity;
+            this.shakeDuration = duration;
+            this.shakeTime = duration;
+        }
+    }
+
+    /**
+     * 获取当前帧的画面震动偏移，幅度随时间衰减
+     * @returns {Object} {x, y}
+     */
+    getShakeOffset() {
+        if (this.shakeTime <= 0) return { x: 0, y: 0 };
+        const strength = this.shakeIntensity * (this.shakeTime / this.shakeDuration);
+        return {
+            x: (this.rng.next() * 2 - 1) * strength,
+            y: (this.rng.next() * 2 - 1) * strength
+        };
+    }
+
+    /**
+     * 是否还有特效在播放
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.active.length > 0 || this.shakeTime > 0;
+    }
+
+    /**
+     * 清除所有粒子和震动（切换关卡时调用）
+     */
+    clear() {
+        for (const p of this.active) this.free.push(p);
+        this.active.length = 0;
+        this.shakeTime = 0;
+    }
+
+    /**
+     * 更新所有粒子的位置和寿命，回收已经消失的粒子
+     * @param {number} dt - 时间增量 (秒)
+     */
+    update(dt) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const p = this.active[i];
+            p.life -= dt;
+            if (p.life <= 0) {
+                // 与末尾元素交换后移除，O(1) 回收
+                this.active[i] = this.active[this.active.length - 1];
+                this.active.pop();
+                this.free.push(p);
+                continue;
+            }
+            if (p.type !== 'text') p.vy += GRAVITY * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+        }
+
+        if (this.shakeTime > 0) {
+            this.shakeTime = Math.max(0, this.shakeTime - dt);
+        }
+    }
+}
@@ -1,59 +1,186 @@
 /**
  * 路径类 (Path Class)
  * 定义游戏中球滚动的轨道。
- * 负责生成螺旋形状的路径，并提供根据距离获取路径上坐标的功能。
+ * 根据关卡数据生成路径（螺旋、折线、贝塞尔或 Catmull-Rom 曲线），并提供根据距离获取路径上坐标的功能。
  */
 export class Path {
     /**
      * 初始化路径
      * @param {number} width - 画布宽度
      * @param {number} height - 画布高度
-     * @param {number} level - 当前关卡（可用于改变路径形状，目前暂未使用）
+     * @param {Object} [definition] - 关卡中的路径定义 (见 src/levels/levels.json)，缺省时生成默认螺旋
      */
-    constructor(width, height, level = 1) {
+    constructor(width, height, definition = null) {
         this.width = width;
         this.height = height;
         this.points = []; // 存储路径上的一系列点 {x, y}
         this.totalLength = 0; // 路径的总长度（像素）
-        this.generateSpiral(); // 生成螺旋路径
+
+        const def = definition || { type: 'spiral' };
+        switch (def.type) {
+            case 'spiral':
+                this.generateSpiral(def);
+                break;
+            case 'polyline':
+                this.generatePolyline(def.points);
+                break;
+            case 'bezier':
+                this.generateBezier(def.points, def.steps);
+                break;
+            case 'catmull-rom':
+                this.generateCatmullRom(def.points, def.steps);
+                break;
+            default:
+                throw new Error(`Unknown path type: ${def.type}`);
+        }
+
+        this.computeLengths();
+    }
+
+    /**
+     * 将关卡中的归一化坐标 [0-1, 0-1] 转换为画布像素坐标
+     * @param {Array<number>} point - [x, y]
+     * @returns {Object} {x, y}
+     */
+    toCanvas(point) {
+        return { x: point[0] * this.width, y: point[1] * this.height };
     }
 
     /**
      * 生成螺旋形路径
      * 从外部向中心螺旋
+     * @param {Object} options - {center, radius, innerRadius, coils, steps}
      */
-    generateSpiral() {
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
-        // 最大半径为画布宽高中较小值的 45%
-        const maxRadius = Math.min(this.width, this.height) * 0.45;
-        const coils = 3; // 螺旋的圈数
-        const steps = 500; // 生成路径点的细分数量（越多越平滑）
+    generateSpiral({ center = [0.5, 0.5], radius = 0.45, innerRadius = 0.2, coils = 3, steps = 500 } = {}) {
+        const { x: centerX, y: centerY } = this.toCanvas(center);
+        // 最大半径为画布宽高中较小值的一定比例
+        const maxRadius = Math.min(this.width, this.height) * radius;
 
         // 遍历生成点
         // 从外圈 (t=0) 到内圈 (t=1)
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
             const angle = t * Math.PI * 2 * coils; // 角度随 t 增加
-            // 半径随 t 减小 (1 -> 0.2)
-            const radius = maxRadius * (1 - t * 0.8);
+            // 半径随 t 减小 (1 -> innerRadius)
+            const r = maxRadius * (1 - t * (1 - innerRadius));
 
-            const x = centerX + Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * radius;
+            const x = centerX + Math.cos(angle) * r;
+            const y = centerY + Math.sin(angle) * r;
 
             this.points.push({ x, y });
         }
+    }
 
-        // 计算总长度并缓存每段的长度，用于后续插值计算
+    /**
+     * 生成折线路径：直接连接各控制点
+     * @param {Array<Array<number>>} points - 归一化控制点
+     */
+    generatePolyline(points) {
+        for (const p of points) {
+            this.points.push(this.toCanvas(p));
+        }
+    }
+
+    /**
+     * 生成三次贝塞尔曲线路径
+     * 控制点格式：[起点, 控制点1, 控制点2, 终点, 控制点1, 控制点2, 终点, ...]
+     * @param {Array<Array<number>>} points - 归一化控制点 (数量为 3n + 1)
+     * @param {number} steps - 每段曲线的细分数量
+     */
+    generateBezier(points, steps = 40) {
+        const pts = points.map(p => this.toCanvas(p));
+        this.points.push(pts[0]);
+
+        for (let i = 0; i + 3 < pts.length; i += 3) {
+            const [p0, p1, p2, p3] = [pts[i], pts[i + 1], pts[i + 2], pts[i + 3]];
+            for (let s = 1; s <= steps; s++) {
+                const t = s / steps;
+                const mt = 1 - t;
+                // 三次贝塞尔公式
+                const a = mt * mt * mt;
+                const b = 3 * mt * mt * t;
+                const c = 3 * mt * t * t;
+                const d = t * t * t;
+                this.points.push({
+                    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+                    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+                });
+            }
+        }
+    }
+
+    /**
+     * 生成 Catmull-Rom 样条路径：曲线经过每一个控制点
+     * @param {Array<Array<number>>} points - 归一化控制点
+     * @param {number} steps - 每两个控制点之间的细分数量
+     */
+    generateCatmullRom(points, steps = 30) {
+        const pts = points.map(p => this.toCanvas(p));
+        this.points.push(pts[0]);
+
+        for (let i = 0; i < pts.length - 1; i++) {
+            // 首尾控制点重复使用，使曲线从第一个点开始、在最后一个点结束
+            const p0 = pts[Math.max(i - 1, 0)];
+            const p1 = pts[i];
+            const p2 = pts[i + 1];
+            const p3 = pts[Math.min(i + 2, pts.length - 1)];
+
+            for (let s = 1; s <= steps; s++) {
+                const t = s / steps;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                this.points.push({
+                    x: 0.5 * (2 * p1.x + (-p0.x + p2.x) * t + (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 + (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
+                    y: 0.5 * (2 * p1.y + (-p0.y + p2.y) * t + (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 + (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3)
+                });
+            }
+        }
+    }
+
+    /**
+     * 计算总长度并缓存每段的长度，用于后续插值计算
+     */
+    computeLengths() {
+        // 去除连续重复的点，避免出现长度为 0 的线段导致插值时除以 0
+        this.points = this.points.filter((p, i, arr) => i === 0 || p.x !== arr[i - 1].x || p.y !== arr[i - 1].y);
+        if (this.points.length < 2) {
+            throw new Error('Path needs at least 2 distinct points');
+        }
+
+        // 缓存每段的长度和角度，以及每个点距离起点的累计长度
+        // cumulativeLengths[i] 为第 i 个点到起点的路径长度，单调递增，可用于二分查找
         this.segmentLengths = [];
+        this.segmentAngles = [];
+        this.cumulativeLengths = [0];
         for (let i = 0; i < this.points.length - 1; i++) {
             const p1 = this.points[i];
             const p2 = this.points[i + 1];
             // 计算两点间距离
             const dist = Math.hypot(p2.x - p1.x, p2.y - p1.y);
             this.segmentLengths.push(dist);
+            this.segmentAngles.push(Math.atan2(p2.y - p1.y, p2.x - p1.x));
             this.totalLength += dist;
+            this.cumulativeLengths.push(this.totalLength);
+        }
+    }
+
+    /**
+     * 二分查找 distance 所在的线段
+     * @param {number} distance - 沿着路径的距离 (0 ~ totalLength)
+     * @returns {number} 线段索引 i，满足 cumulativeLengths[i] <= distance <= cumulativeLengths[i + 1]
+     */
+    findSegment(distance) {
+        let lo = 0;
+        let hi = this.segmentLengths.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.cumulativeLengths[mid] <= distance) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
         }
+        return lo;
     }
 
     /**
@@ -66,8 +193,7 @@ export class Path {
         // 向后外推路径
         if (distance < 0) {
             const p1 = this.points[0];
-            const p2 = this.points[1];
-            const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+            const angle = this.segmentAngles[0];
             // 沿着切线方向反向延伸
             const x = p1.x + Math.cos(angle) * distance;
             const y = p1.y + Math.sin(angle) * distance;
@@ -78,33 +204,21 @@ export class Path {
         // 返回终点坐标
         if (distance >= this.totalLength) {
             const last = this.points[this.points.length - 1];
-            const prev = this.points[this.points.length - 2];
-            const angle = Math.atan2(last.y - prev.y, last.x - prev.x);
-            return { ...last, angle };
+            const angle = this.segmentAngles[this.segmentAngles.length - 1];
+            return { x: last.x, y: last.y, angle };
         }
 
         // 情况 3: 正常在路径上
-        // 遍历线段寻找 distance 所在的线段
-        let currentDist = 0;
-        for (let i = 0; i < this.segmentLengths.length; i++) {
-            const segLen = this.segmentLengths[i];
-            if (currentDist + segLen >= distance) {
-                // 找到所在线段，进行线性插值
-                const remaining = distance - currentDist;
-                const t = remaining / segLen; // 在该线段上的比例 (0-1)
-                const p1 = this.points[i];
-                const p2 = this.points[i + 1];
-
-                const x = p1.x + (p2.x - p1.x) * t;
-                const y = p1.y + (p2.y - p1.y) * t;
-                const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
-
-                return { x, y, angle };
-            }
-            currentDist += segLen;
-        }
-        
-        // 理论上不应到达这里，除非浮点数误差
-        return this.points[this.points.length - 1];
+        // 通过累计长度表二分查找 distance 所在的线段，然后线性插值
+        const i = this.findSegment(distance);
+        const t = (distance - this.cumulativeLengths[i]) / this.segmentLengths[i]; // 在该线段上的比例 (0-1)
+        const p1 = this.points[i];
+        const p2 = this.points[i + 1];
+
+        return {
+            x: p1.x + (p2.x - p1.x) * t,
+            y: p1.y + (p2.y - p1.y) * t,
+            angle: this.segmentAngles[i]
+        };
     }
 }
@@ -0,0 +1,176 @@
+import { SpatialGrid } from './SpatialGrid.js';
+
+/**
+ * 奖励物品定义 (Pickups)
+ * 限时出现在轨道弯道之间的空隙中，弹射物穿过时收集（弹射物不会因此停下）。
+ * - points：获得的分数
+ * - time：额外时间（秒），期间球链减速，与减速道具效果相同
+ * - weight：出现的相对概率
+ */
+export const PICKUPS = {
+    coin: { points: 500, symbol: '$', color: '#ffd700', weight: 3 },
+    gem: { points: 250, time: 4, symbol: '◆', color: '#ff4dff', weight: 1 }
+};
+
+const RADIUS = 14;               // 奖励物品的半径
+const LIFETIME = 6;              // 出现后停留的时间 (秒)
+const FADE_TIME = 1.5;           // 消失前开始闪烁淡出的时间 (秒)
+const SPAWN_INTERVAL = [5, 10];  // 两次出现之间的随机间隔 (秒)
+const MAX_ACTIVE = 2;            // 同时存在的最大数量
+const GRID_STEP = 20;            // 候选位置的采样间隔
+const TRACK_CLEARANCE = 45;      // 与轨道中心线的最小距离（轨道半宽 + 物品半径 + 余量）
+const TRACK_REACH = 110;         // 与轨道中心线的最大距离：只在弯道之间的空隙中出现，而不是空旷处
+const SHOOTER_CLEARANCE = 110;   // 与发射器的最小距离
+const EDGE_MARGIN = 30;          // 与世界边缘的最小距离
+
+/**
+ * 奖励物品管理类 (PickupField Class)
+ * 关卡开始时预先计算所有合法的出现位置（靠近轨道但不压在轨道上、远离发射器和墙），
+ * 之后按随机间隔在这些位置中选择一处生成物品，并负责计时和与弹射物的碰撞检测。
+ * 所有随机数来自模拟共享的随机数生成器，保证同一种子结果一致。
+ */
+export class PickupField {
+    /**
+     * 初始化并计算候选位置
+     * @param {Object} options - {width, height, paths, shooters, walls, rng}
+     */
+    constructor({ width, height, paths, shooters, walls = [], rng }) {
+        this.rng = rng;
+        this.items = [];  // 当前存在的物品 {type, x, y, radius, life, maxLife}
+        this.timer = this.nextInterval(); // 距离下一次生成的时间
+        this.spots = this.findSpots(width, height, paths, shooters, walls);
+    }
+
+    /**
+     * 随机生成下一次出现的间隔
+     * @returns {number} 秒
+     */
+    nextInterval() {
+        const [min, max] = SPAWN_INTERVAL;
+        return min + this.rng.next() * (max - min);
+    }
+
+    /**
+     * 在世界中按网格采样，筛选出所有合法的出现位置
+     * @param {number} width - 世界宽度
+     * @param {number} height - 世界高度
+     * @param {Array<Path>} paths - 所有轨道
+     * @param {Array<Shooter>} shooters - 所有发射器
+     * @param {Array<Object>} walls - 墙 [{x, y, w, h}]
+     * @returns {Array<Object>} [{x, y}]
+     */
+    findSpots(width, height, paths, shooters, walls) {
+        // 轨道中心线上的采样点放入空间网格，加速最近距离查询
+        const grid = new SpatialGrid(TRACK_REACH);
+        for (const path of paths) {
+            for (let d = 0; d <= path.totalLength; d += GRID_STEP / 2) {
+                const p = path.getPointAt(d);
+                grid.insert(p, p.x, p.y);
+            }
+        }
+
+        const spots = [];
+        for (let x = EDGE_MARGIN; x <= width - EDGE_MARGIN; x += GRID_STEP) {
+            for (let y = EDGE_MARGIN; y <= height - EDGE_MARGIN; y += GRID_STEP) {
+                if (shooters.some(s => Math.hypot(x - s.x, y - s.y) < SHOOTER_CLEARANCE)) continue;
+                if (walls.some(w => x > w.x - RADIUS && x < w.x + w.w + RADIUS && y > w.y - RADIUS && y < w.y + w.h + RADIUS)) continue;
+
+                let nearest = Infinity;
+                for (const p of grid.query(x, y, TRACK_REACH)) {
+                    nearest = Math.min(nearest, Math.hypot(p.x - x, p.y - y));
+                }
+                if (nearest >= TRACK_CLEARANCE && nearest <= TRACK_REACH) {
+                    spots.push({ x, y });
+                }
+            }
+        }
+        return spots;
+    }
+
+    /**
+     * 按权重随机选择物品类型
+     * @returns {string}
+     */
+    rollType() {
+        const types = Object.keys(PICKUPS);
+        const total = types.reduce((sum, type) => sum + PICKUPS[type].weight, 0);
+        let roll = this.rng.next() * total;
+        for (const type of types) {
+            roll -= PICKUPS[type].weight;
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * 更新计时：生成新物品，移除超时的物品
+     * @param {number} dt - 时间增量 (秒)
+     */
+    update(dt) {
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            this.items[i].life -= dt;
+            if (this.items[i].life <= 0) this.items.splice(i, 1);
+        }
+
+        this.timer -= dt;
+        if (this.timer > 0) return;
+        this.timer = this.nextInterval();
+        if (this.items.length >= MAX_ACTIVE || this.spots.length === 0) return;
+
+        // 不与已有物品重叠
+        const spot = this.rng.pick(this.spots);
+        if (this.items.some(item => Math.hypot(item.x - spot.x, item.y - spot.y) < RADIUS * 4)) return;
+        this.items.push({ type: this.rollType(), x: spot.x, y: spot.y, radius: RADIUS, life: LIFETIME, maxLife: LIFETIME });
+    }
+
+    /**
+     * 收集弹射物经过的物品
+     * @param {Object} projectile - 弹射物 {x, y, radius}
+     * @returns {Array<Object>} 被收集的物品（已从场上移除）
+     */
+    collect(projectile) {
+        const collected = [];
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            if (Math.hypot(item.x - projectile.x, item.y - projectile.y) < item.radius + projectile.radius) {
+                collected.push(item);
+                this.items.splice(i, 1);
+            }
+        }
+        return collected;
+    }
+
+    /**
+     * 物品当前的不透明度：最后 FADE_TIME 秒内闪烁淡出
+     * @param {Object} item - 物品
+     * @returns {number} 0 ~ 1
+     */
+    static getAlpha(item) {
+        if (item.life >= FADE_TIME) return 1;
+        const t = item.life / FADE_TIME;
+        return t * (0.6 + 0.4 * Math.cos((1 - t) * 30));
+    }
+
+    /**
+     * 导出状态（用于存档）
+     * @returns {Object} {items, timer}
+     */
+    getState() {
+        return { items: this.items.map(item => ({ ...item })), timer: this.timer };
+    }
+
+    /**
+     * 从存档恢复状态；类型未知或坐标、剩余时间无效的物品会被丢弃
+     * @param {Object} state - getState() 导出的数据
+     */
+    loadState(state) {
+        if (!state) return;
+        if (Array.isArray(state.items)) {
+            this.items = state.items
+                .filter(item => item && PICKUPS[item.type]
+                    && Number.isFinite(item.x) && Number.isFinite(item.y) && Number.isFinite(item.life))
+                .map(({ type, x, y, life }) => ({ type, x, y, radius: RADIUS, life, maxLife: LIFETIME }));
+        }
+        if (Number.isFinite(state.timer)) this.timer = state.timer;
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * 道具球定义 (Power-ups)
+ * 球链中的部分球会携带道具，当它们被消除时触发对应效果。
+ * 持续时间、强度和显示符号集中在这里配置，BallChain、Game 和 Renderer 共用。
+ */
+export const POWER_UPS = {
+    // 倒退：推动段（最靠近起点的一段）反向移动一段时间
+    reverse: { duration: 3, symbol: '↺', color: '#ff9900' },
+    // 减速：球链速度降低一段时间
+    slow: { duration: 5, speedFactor: 0.4, symbol: '⌛', color: '#66ccff' },
+    // 精准：发射器快速直射，并显示实线瞄准线
+    accuracy: { duration: 8, projectileSpeed: 1600, symbol: '⌖', color: '#ffffff' },
+    // 炸弹：立即清除一定半径内的所有球
+    bomb: { radius: 120, symbol: '✹', color: '#ff3300' }
+};
+
+/**
+ * 所有道具类型名称
+ */
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
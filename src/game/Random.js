@@ -0,0 +1,71 @@
+/**
+ * 可设置种子的伪随机数生成器 (Random Class)
+ * 基于 mulberry32 算法。游戏中所有影响玩法的随机数都来自同一个实例，
+ * 因此相同的种子和相同的操作序列会得到完全相同的球链和发射器颜色队列。
+ */
+export class Random {
+    /**
+     * 初始化随机数生成器
+     * @param {number|string} seed - 种子（非数字字符串会被哈希为整数）
+     */
+    constructor(seed) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 将任意种子转换为 32 位无符号整数
+     * 纯数字字符串（如 URL 参数 "12345"）按数字处理，其它字符串使用 FNV-1a 哈希
+     * @param {number|string} seed - 种子
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string' && !/^\d+$/.test(seed)) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+        return Number(seed) >>> 0;
+    }
+
+    /**
+     * 生成一个新的随机种子（用于未指定种子的游戏）
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 返回 [0, 1) 之间的随机数，可替代 Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * 返回 [0, max) 之间的随机整数
+     * @param {number} max - 上限（不包含）
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 从数组中随机选取一个元素
+     * @param {Array} array - 数组
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
@@ -1,3 +1,9 @@
+import { POWER_UPS } from './PowerUps.js';
+import { PICKUPS, PickupField } from './Pickups.js';
+
+// 双人游戏中每个玩家的标识颜色（发射器光晕、标签）
+const PLAYER_COLORS = ['#00f2ff', '#ff0055'];
+
 /**
  * 渲染器类 (Renderer Class)
  * 负责将游戏的所有视觉元素绘制到 Canvas 上。
@@ -7,28 +13,88 @@ export class Renderer {
     /**
      * 初始化渲染器
      * @param {CanvasRenderingContext2D} ctx - Canvas 2D 上下文
-     * @param {number} width - 画布宽度
-     * @param {number} height - 画布高度
+     * @param {Viewport} viewport - 视口，所有绘制都使用世界坐标，由视口映射到画布像素
      */
-    constructor(ctx, width, height) {
+    constructor(ctx, viewport) {
         this.ctx = ctx;
-        this.width = width;
-        this.height = height;
+        this.viewport = viewport;
+        this.width = viewport.width;
+        this.height = viewport.height;
+    }
+
+    /**
+     * 开始绘制一帧：清除整个画布（包括黑边），切换到世界坐标，
+     * 并把之后的绘制裁剪在世界区域内，避免震动或粒子画进黑边
+     * 必须与 endFrame 成对调用
+     */
+    beginFrame() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.setTransform(...this.viewport.getTransform());
+        ctx.beginPath();
+        ctx.rect(0, 0, this.width, this.height);
+        ctx.clip();
     }
 
     /**
-     * 清除画布
-     * 每一帧开始时调用
+     * 结束一帧，恢复 beginFrame 之前的画布状态
      */
-    clear() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    endFrame() {
+        this.ctx.restore();
+    }
+
+    /**
+     * 开始绘制分屏中的一块画面：画出边框，之后的绘制缩放到该区域内并裁剪在其中
+     * 必须与 endPane 成对调用
+     * @param {number} x - 画面左上角 X（世界坐标）
+     * @param {number} y - 画面左上角 Y（世界坐标）
+     * @param {number} scale - 缩放比例
+     */
+    beginPane(x, y, scale) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, this.width * scale, this.height * scale);
+        ctx.translate(x, y);
+        ctx.scale(scale, scale);
+        ctx.beginPath();
+        ctx.rect(0, 0, this.width, this.height);
+        ctx.clip();
+    }
+
+    /**
+     * 结束分屏画面，恢复 beginPane 之前的状态
+     */
+    endPane() {
+        this.ctx.restore();
+    }
+
+    /**
+     * 开始屏幕震动：之后绘制的内容整体平移
+     * @param {number} offsetX - X 偏移
+     * @param {number} offsetY - Y 偏移
+     */
+    beginShake(offsetX, offsetY) {
+        this.ctx.save();
+        this.ctx.translate(offsetX, offsetY);
+    }
+
+    /**
+     * 结束屏幕震动，恢复平移前的状态
+     */
+    endShake() {
+        this.ctx.restore();
     }
 
     /**
      * 绘制游戏路径 (轨道)
      * @param {Path} path - 路径对象
+     * @param {number} danger - 危险警告强度 0 ~ 1：球链接近终点时轨道和骷髅头随之闪烁红光
      */
-    drawPath(path) {
+    drawPath(path, danger = 0) {
         if (path.points.length < 2) return;
 
         this.ctx.beginPath();
@@ -37,10 +103,10 @@ export class Renderer {
             this.ctx.lineTo(path.points[i].x, path.points[i].y);
         }
 
-        // 1. 绘制发光效果 (Glow effect)
-        this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = 'rgba(0, 242, 255, 0.5)';
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        // 1. 绘制发光效果 (Glow effect)，危险时变为红色
+        this.ctx.shadowBlur = 15 + 15 * danger;
+        this.ctx.shadowColor = danger > 0 ? `rgba(255, 0, 85, ${0.4 + 0.5 * danger})` : 'rgba(0, 242, 255, 0.5)';
+        this.ctx.strokeStyle = danger > 0 ? `rgba(255, 0, 85, ${0.08 + 0.17 * danger})` : 'rgba(255, 255, 255, 0.1)';
         this.ctx.lineWidth = 45; // 轨道宽度
         this.ctx.stroke();
 
@@ -52,21 +118,200 @@ export class Renderer {
 
         // 3. 绘制终点骷髅头标志
         const end = path.points[path.points.length - 1];
-        this.drawSkull(end.x, end.y);
+        this.drawSkull(end.x, end.y, danger);
+    }
+
+    /**
+     * 绘制过关奖励标记：已经跑过的轨道被点亮为金色，标记头部是一颗发光的星
+     * @param {Path} path - 路径对象
+     * @param {number} from - 标记的起点距离
+     * @param {number} to - 标记当前的距离
+     */
+    drawBonusMarker(path, from, to) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        if (to > from) {
+            ctx.beginPath();
+            for (let d = from; d < to; d += 5) {
+                const p = path.getPointAt(d);
+                if (d === from) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+            }
+            const last = path.getPointAt(to);
+            ctx.lineTo(last.x, last.y);
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = '#ffd700';
+            ctx.strokeStyle = 'rgba(255, 215, 0, 0.35)';
+            ctx.lineWidth = 12;
+            ctx.stroke();
+        }
+
+        const head = path.getPointAt(to);
+        ctx.translate(head.x, head.y);
+        ctx.shadowBlur = 25;
+        ctx.shadowColor = '#ffd700';
+        ctx.fillStyle = '#fff4b0';
+        ctx.beginPath();
+        for (let i = 0; i < 10; i++) {
+            const r = i % 2 === 0 ? 16 : 7;
+            const angle = -Math.PI / 2 + i * Math.PI / 5;
+            ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * 绘制隧道：沿路径的一段不透明的顶盖，遮住经过其中的球
+     * 需要在球链之后绘制
+     * @param {Path} path - 路径对象
+     * @param {Array<Array<number>>} tunnels - 隧道区间 [[startDistance, endDistance], ...]
+     */
+    drawTunnels(path, tunnels) {
+        const ctx = this.ctx;
+        for (const [start, end] of tunnels) {
+            ctx.save();
+            ctx.beginPath();
+            for (let d = start; d < end; d += 5) {
+                const p = path.getPointAt(d);
+                if (d === start) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+            }
+            const last = path.getPointAt(end);
+            ctx.lineTo(last.x, last.y);
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+
+            // 1. 外框：比轨道略宽的发光描边
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = 'rgba(180, 0, 255, 0.6)';
+            ctx.strokeStyle = 'rgba(180, 0, 255, 0.8)';
+            ctx.lineWidth = 50;
+            ctx.stroke();
+
+            // 2. 顶盖：与背景相同的深色
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = '#0b0b1e';
+            ctx.lineWidth = 44;
+            ctx.stroke();
+
+            // 3. 中心虚线，提示球在下方经过
+            ctx.strokeStyle = 'rgba(180, 0, 255, 0.3)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 8]);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 绘制奖励物品：带符号的发光圆片，外圈显示剩余时间，消失前闪烁淡出
+     * @param {Array<Object>} items - 奖励物品 [{type, x, y, radius, life, maxLife}]
+     */
+    drawPickups(items) {
+        const ctx = this.ctx;
+        for (const item of items) {
+            const def = PICKUPS[item.type];
+            ctx.save();
+            ctx.globalAlpha = PickupField.getAlpha(item);
+            ctx.translate(item.x, item.y);
+
+            // 本体
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = def.color;
+            ctx.fillStyle = def.color;
+            ctx.beginPath();
+            ctx.arc(0, 0, item.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            // 符号
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = '#000';
+            ctx.font = `bold ${item.radius}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(def.symbol, 0, 1);
+
+            // 剩余时间外圈
+            ctx.strokeStyle = def.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, item.radius + 5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (item.life / item.maxLife));
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 绘制阻挡弹射物的墙
+     * @param {Array<Object>} walls - 墙 [{x, y, w, h}]
+     */
+    drawWalls(walls) {
+        const ctx = this.ctx;
+        ctx.save();
+        for (const wall of walls) {
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = '#ff9900';
+            ctx.fillStyle = 'rgba(255, 153, 0, 0.25)';
+            ctx.fillRect(wall.x, wall.y, wall.w, wall.h);
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = '#ff9900';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(wall.x, wall.y, wall.w, wall.h);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * 绘制发射器的滑轨：一条双线导轨，两端各有一个止挡
+     * @param {Path} rail - 滑轨路径
+     */
+    drawRail(rail) {
+        if (rail.points.length < 2) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(rail.points[0].x, rail.points[0].y);
+        for (let i = 1; i < rail.points.length; i++) {
+            ctx.lineTo(rail.points[i].x, rail.points[i].y);
+        }
+
+        ctx.shadowBlur = 12;
+        ctx.shadowColor = 'rgba(0, 242, 255, 0.6)';
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.35)';
+        ctx.lineWidth = 14;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = 'rgba(10, 10, 30, 0.9)';
+        ctx.lineWidth = 6;
+        ctx.stroke();
+
+        ctx.fillStyle = '#00f2ff';
+        for (const end of [rail.points[0], rail.points[rail.points.length - 1]]) {
+            ctx.beginPath();
+            ctx.arc(end.x, end.y, 9, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
     }
 
     /**
      * 绘制骷髅头 (游戏失败的终点标志)
      * @param {number} x - X 坐标
      * @param {number} y - Y 坐标
+     * @param {number} danger - 危险警告强度 0 ~ 1，危险时骷髅头随之放大、发光更强
      */
-    drawSkull(x, y) {
+    drawSkull(x, y, danger = 0) {
         this.ctx.save();
         this.ctx.translate(x, y);
-        
+        this.ctx.scale(1 + 0.25 * danger, 1 + 0.25 * danger);
+
         // 绘制红色背景圆
         this.ctx.fillStyle = '#ff0055';
-        this.ctx.shadowBlur = 20;
+        this.ctx.shadowBlur = 20 + 20 * danger;
         this.ctx.shadowColor = '#ff0055';
         this.ctx.beginPath();
         this.ctx.arc(0, 0, 20, 0, Math.PI * 2);
@@ -88,8 +333,9 @@ export class Renderer {
      * @param {number} y - Y 坐标
      * @param {number} radius - 半径
      * @param {string} color - 颜色代码
+     * @param {string|null} powerUp - 携带的道具类型（绘制道具标记）
      */
-    drawBall(x, y, radius, color) {
+    drawBall(x, y, radius, color, powerUp = null) {
         // 创建径向渐变以模拟球体立体感
         // 光源位置在左上角 (x - radius/3, y - radius/3)
         const gradient = this.ctx.createRadialGradient(x - radius / 3, y - radius / 3, radius / 10, x, y, radius);
@@ -111,6 +357,36 @@ export class Renderer {
         this.ctx.beginPath();
         this.ctx.arc(x - radius / 3, y - radius / 3, radius / 4, 0, Math.PI * 2);
         this.ctx.fill();
+
+        if (powerUp) {
+            this.drawPowerUpMarker(x, y, radius, POWER_UPS[powerUp]);
+        }
+    }
+
+    /**
+     * 绘制道具标记：发光外环 + 道具符号
+     * @param {number} x - 球心 X 坐标
+     * @param {number} y - 球心 Y 坐标
+     * @param {number} radius - 球半径
+     * @param {Object} def - 道具定义 {symbol, color}
+     */
+    drawPowerUpMarker(x, y, radius, def) {
+        this.ctx.save();
+        this.ctx.strokeStyle = def.color;
+        this.ctx.lineWidth = 3;
+        this.ctx.shadowBlur = 12;
+        this.ctx.shadowColor = def.color;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius + 2, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        this.ctx.shadowBlur = 0;
+        this.ctx.fillStyle = '#000';
+        this.ctx.font = `bold ${Math.round(radius * 1.1)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(def.symbol, x, y + 1);
+        this.ctx.restore();
     }
 
     /**
@@ -119,47 +395,170 @@ export class Renderer {
      */
     drawChain(chain) {
         for (const ball of chain.balls) {
-            // 获取球在路径上的实际 2D 坐标
-            const pos = chain.path.getPointAt(ball.distance);
-            this.drawBall(pos.x, pos.y, ball.radius, ball.color);
+            // 使用球链在本帧 update 中缓存的 2D 坐标
+            let pos = ball;
+            if (ball.inserting) {
+                // 正在插入的球从撞击点逐渐滑入轨道
+                const t = ball.insertProgress;
+                pos = {
+                    x: ball.insertFrom.x + (pos.x - ball.insertFrom.x) * t,
+                    y: ball.insertFrom.y + (pos.y - ball.insertFrom.y) * t
+                };
+            }
+            this.drawBall(pos.x, pos.y, ball.radius, ball.color, ball.powerUp);
         }
     }
 
     /**
      * 绘制发射器 (包括炮塔、瞄准线、当前球和下一球)
      * @param {Shooter} shooter - 发射器对象
+     * @param {Object|null} guide - 预测瞄准线 (Simulation.getAimGuide)；为 null 时绘制固定长度的普通瞄准线
+     * @param {number|null} player - 双人游戏中发射器所属的玩家编号，用该玩家的颜色发光并标出 "P1" / "P2"；单人时为 null
      */
-    drawShooter(shooter) {
+    drawShooter(shooter, guide = null, player = null) {
         // 1. 绘制瞄准线 (位于发射器下方)
+        if (guide) {
+            this.drawAimGuide(shooter, guide);
+        } else {
+            this.drawAimLine(shooter);
+        }
+
+        // 2. 绘制炮塔本体、当前球和下一球
+        this.drawShooterBody(shooter, player !== null ? PLAYER_COLORS[player] : PLAYER_COLORS[0]);
+
+        // 3. 玩家标签
+        if (player !== null) {
+            const ctx = this.ctx;
+            ctx.save();
+            ctx.font = 'bold 16px Orbitron, Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = PLAYER_COLORS[player];
+            ctx.shadowBlur = 8;
+            ctx.shadowColor = PLAYER_COLORS[player];
+            ctx.fillText(`P${player + 1}`, shooter.x, shooter.y - shooter.radius - 12);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 绘制普通瞄准线：固定长度的渐变虚线；精准道具生效时为贯穿画面的实线
+     * @param {Shooter} shooter - 发射器对象
+     */
+    drawAimLine(shooter) {
         this.ctx.save();
         this.ctx.translate(shooter.x, shooter.y);
         this.ctx.rotate(shooter.angle); // 旋转画布以匹配瞄准角度
 
-        // 创建渐变瞄准线
-        const gradient = this.ctx.createLinearGradient(0, 0, 400, 0);
-        gradient.addColorStop(0, 'rgba(0, 242, 255, 0.6)');
-        gradient.addColorStop(0.5, 'rgba(0, 242, 255, 0.3)');
-        gradient.addColorStop(1, 'rgba(0, 242, 255, 0)');
+        if (shooter.accuracy) {
+            // 精准道具：更长的实线瞄准线
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.lineWidth = 3;
+            this.ctx.shadowBlur = 10;
+            this.ctx.shadowColor = '#fff';
+            this.ctx.beginPath();
+            this.ctx.moveTo(shooter.radius, 0);
+            this.ctx.lineTo(Math.hypot(this.width, this.height), 0);
+            this.ctx.stroke();
+        } else {
+            // 创建渐变瞄准线
+            const gradient = this.ctx.createLinearGradient(0, 0, 400, 0);
+            gradient.addColorStop(0, 'rgba(0, 242, 255, 0.6)');
+            gradient.addColorStop(0.5, 'rgba(0, 242, 255, 0.3)');
+            gradient.addColorStop(1, 'rgba(0, 242, 255, 0)');
 
-        this.ctx.strokeStyle = gradient;
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([10, 5]); // 虚线效果
-        this.ctx.beginPath();
-        this.ctx.moveTo(shooter.radius, 0); // 从炮口开始
-        this.ctx.lineTo(400, 0); // 延伸出去
-        this.ctx.stroke();
-        this.ctx.setLineDash([]); // 重置虚线
+            this.ctx.strokeStyle = gradient;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([10, 5]); // 虚线效果
+            this.ctx.beginPath();
+            this.ctx.moveTo(shooter.radius, 0); // 从炮口开始
+            this.ctx.lineTo(400, 0); // 延伸出去
+            this.ctx.stroke();
+            this.ctx.setLineDash([]); // 重置虚线
+        }
 
         this.ctx.restore();
+    }
 
-        // 2. 绘制炮塔本体
+    /**
+     * 绘制预测瞄准线：从炮口画到弹射物会停下的位置；精准道具生效时与普通瞄准线一样画成发光的实线
+     * 击中球链时在插入位置画出当前球颜色的虚线圆圈，会形成消除时圆圈变为发光的实心球；
+     * 打空（出界或撞墙）时在终点画一个叉
+     * @param {Shooter} shooter - 发射器对象
+     * @param {Object} guide - 预测结果 {x, y, chain, slot, willMatch, blocked}
+     */
+    drawAimGuide(shooter, guide) {
+        const ctx = this.ctx;
+        const cos = Math.cos(shooter.angle);
+        const sin = Math.sin(shooter.angle);
+        ctx.save();
+
+        if (shooter.accuracy) {
+            // 精准道具：发光的实线
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 3;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = '#fff';
+        } else {
+            ctx.strokeStyle = guide.willMatch ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 242, 255, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([10, 5]);
+        }
+        ctx.beginPath();
+        ctx.moveTo(shooter.x + cos * shooter.radius, shooter.y + sin * shooter.radius);
+        ctx.lineTo(guide.x, guide.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.shadowBlur = 0;
+
+        if (guide.slot) {
+            const radius = shooter.projectileRadius;
+            ctx.strokeStyle = shooter.currentBall;
+            ctx.lineWidth = 3;
+            if (guide.willMatch) {
+                // 会形成消除：发光的半透明球
+                ctx.shadowBlur = 20;
+                ctx.shadowColor = shooter.currentBall;
+                ctx.globalAlpha = 0.6;
+                ctx.fillStyle = shooter.currentBall;
+                ctx.beginPath();
+                ctx.arc(guide.slot.x, guide.slot.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.stroke();
+            } else {
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.arc(guide.slot.x, guide.slot.y, radius, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        } else {
+            // 打空：终点画叉
+            const size = 8;
+            ctx.strokeStyle = 'rgba(255, 0, 85, 0.8)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(guide.x - size, guide.y - size);
+            ctx.lineTo(guide.x + size, guide.y + size);
+            ctx.moveTo(guide.x + size, guide.y - size);
+            ctx.lineTo(guide.x - size, guide.y + size);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * 绘制发射器本体、当前球和下一球
+     * @param {Shooter} shooter - 发射器对象
+     * @param {string} glow - 本体光晕颜色
+     */
+    drawShooterBody(shooter, glow) {
         this.ctx.save();
         this.ctx.translate(shooter.x, shooter.y);
         this.ctx.rotate(shooter.angle);
 
         this.ctx.fillStyle = '#222';
         this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = '#00f2ff';
+        this.ctx.shadowColor = glow;
         this.ctx.beginPath();
         this.ctx.arc(0, 0, shooter.radius, 0, Math.PI * 2);
         this.ctx.fill();
@@ -170,12 +569,23 @@ export class Renderer {
 
         this.ctx.restore(); // 恢复状态，以便绘制球体时不受旋转影响
 
-        // 3. 绘制当前待发射的球 (位于发射器中心)
-        // 注意：我们不旋转这个球，让光照方向保持一致
-        this.drawBall(shooter.x, shooter.y, 18, shooter.currentBall);
-
-        // 4. 绘制下一个球的指示器 (在发射器旁边的小球)
-        this.drawBall(shooter.x - 35, shooter.y + 35, 12, shooter.nextBall);
+        // 3 & 4. 绘制当前待发射的球 (位于发射器中心) 和下一个球的指示器 (在发射器旁边的小球)
+        // 注意：我们不旋转这些球，让光照方向保持一致
+        // 交换时两个球沿弧线互换位置：t 从 0 到 1，当前球从指示器位置移到中心，下一个球反之
+        const t = shooter.getSwapProgress();
+        const ease = t * t * (3 - 2 * t); // smoothstep 缓动
+        const center = { x: shooter.x, y: shooter.y, r: 18 };
+        const slot = { x: shooter.x - 35, y: shooter.y + 35, r: 12 };
+        const lerp = (from, to, k, bend) => ({
+            // 加上方向相反的偏移，让两个球沿两侧弧线运动而不是直线穿过彼此
+            x: from.x + (to.x - from.x) * k + Math.sin(k * Math.PI) * bend,
+            y: from.y + (to.y - from.y) * k + Math.sin(k * Math.PI) * bend,
+            r: from.r + (to.r - from.r) * k
+        });
+        const next = lerp(center, slot, ease, 20);
+        const current = lerp(slot, center, ease, -20);
+        this.drawBall(next.x, next.y, next.r, shooter.nextBall);
+        this.drawBall(current.x, current.y, current.r, shooter.currentBall);
     }
 
     /**
@@ -187,4 +597,42 @@ export class Renderer {
             this.drawBall(p.x, p.y, p.radius, p.color);
         }
     }
+
+    /**
+     * 绘制粒子特效（爆裂、火花、飘字）
+     * @param {ParticleSystem} particles - 粒子系统
+     */
+    drawParticles(particles) {
+        this.ctx.save();
+        for (const p of particles.active) {
+            // 随剩余寿命淡出
+            this.ctx.globalAlpha = Math.max(0, p.life / p.maxLife);
+
+            if (p.type === 'text') {
+                this.ctx.fillStyle = p.color;
+                this.ctx.shadowBlur = 10;
+                this.ctx.shadowColor = p.color;
+                this.ctx.font = `bold ${p.size}px Orbitron, Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(p.text, p.x, p.y);
+            } else if (p.type === 'spark') {
+                // 火花：沿速度方向的短线
+                this.ctx.strokeStyle = p.color;
+                this.ctx.lineWidth = p.size;
+                this.ctx.shadowBlur = 0;
+                this.ctx.beginPath();
+                this.ctx.moveTo(p.x, p.y);
+                this.ctx.lineTo(p.x - p.vx * 0.03, p.y - p.vy * 0.03);
+                this.ctx.stroke();
+            } else {
+                this.ctx.fillStyle = p.color;
+                this.ctx.shadowBlur = 0;
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        }
+        this.ctx.restore();
+    }
 }
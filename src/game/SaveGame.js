@@ -0,0 +1,100 @@
+import { getDefaultStorage } from './Storage.js';
+
+const SAVE_KEY = 'zuma-odyssey.save';
+const SAVE_VERSION = 2;
+
+/**
+ * 存档格式迁移表：MIGRATIONS[n] 把版本 n 的存档转换为版本 n + 1
+ * 修改存档格式时提升 SAVE_VERSION，并在这里添加上一版本的迁移函数；
+ * 没有迁移路径的旧存档会被丢弃。
+ */
+const MIGRATIONS = {
+    // 版本 2 支持多个玩家：发射器和计分状态改为按玩家排列的数组，飞行中的弹射物记录射出它的玩家
+    1: ({ state, ...data }) => {
+        const { shooter, scoreKeeper, projectiles, ...rest } = state || {};
+        return {
+            ...data,
+            version: 2,
+            state: {
+                ...rest,
+                shooters: [shooter],
+                scoreKeepers: scoreKeeper ? [scoreKeeper] : [],
+                playerScores: [rest.score],
+                projectiles: Array.isArray(projectiles) ? projectiles.map(p => ({ ...p, player: 0 })) : projectiles
+            }
+        };
+    }
+};
+
+/**
+ * 存档类 (SaveGame Class)
+ * 把进行中的对局保存到 localStorage，并在下次打开页面时恢复。
+ * 存档格式：{version, savedAt, state}，其中 state 来自 Simulation.getState()。
+ * 读取到损坏、过旧或无法识别的存档时会清除它并返回 null，而不是抛出错误。
+ */
+export class SaveGame {
+    /**
+     * 初始化存档
+     * @param {Storage} storage - 实现 getItem/setItem/removeItem 的存储对象（见 Storage.js），默认为 localStorage
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+    }
+
+    /**
+     * 保存对局
+     * @param {Simulation} sim - 游戏模拟
+     * @returns {boolean} 是否保存成功
+     */
+    save(sim) {
+        try {
+            const data = { version: SAVE_VERSION, savedAt: Date.now(), state: sim.getState() };
+            this.storage.setItem(SAVE_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            // 存储已满或被禁用时放弃保存，不影响游戏
+            console.warn('Failed to save game:', e);
+            return false;
+        }
+    }
+
+    /**
+     * 读取存档
+     * @returns {Object|null} 对局状态；没有可用存档时返回 null
+     */
+    load() {
+        try {
+            const raw = this.storage.getItem(SAVE_KEY);
+            if (!raw) return null;
+
+            let data = JSON.parse(raw);
+            if (!data || !Number.isInteger(data.version)) throw new Error('missing version');
+
+            // 逐版本迁移到当前格式
+            while (data.version < SAVE_VERSION) {
+                const migrate = MIGRATIONS[data.version];
+                if (!migrate) throw new Error(`no migration from version ${data.version}`);
+                data = migrate(data);
+            }
+            if (data.version !== SAVE_VERSION) throw new Error(`unknown version ${data.version}`);
+            if (!data.state || typeof data.state !== 'object') throw new Error('missing state');
+
+            return data.state;
+        } catch (e) {
+            console.warn('Discarding unreadable save:', e);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * 删除存档
+     */
+    clear() {
+        try {
+            this.storage.removeItem(SAVE_KEY);
+        } catch (e) {
+            console.warn('Failed to clear save:', e);
+        }
+    }
+}
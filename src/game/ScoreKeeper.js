@@ -0,0 +1,98 @@
+const BALL_POINTS = 100;      // 每个被消除球的基础分
+const STREAK_BONUS = 0.1;     // 连击每多一次，倍率增加的值
+const MAX_STREAK_BONUS = 1;   // 连击倍率的最大加成 (即最多 x2)
+
+/**
+ * 计分类 (ScoreKeeper Class)
+ * 负责计算消除得分，并跟踪两种奖励：
+ * - 连锁 (combo)：同一次射击引发的连续消除，包括之后空隙闭合时引发的消除。第 n 次消除得分 x n。
+ * - 连击 (streak)：连续命中并形成消除的射击次数。未形成消除或打空都会中断连击。
+ */
+export class ScoreKeeper {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * 重置连锁和连击状态（新关卡开始时调用）
+     */
+    reset() {
+        this.combo = 0;          // 当前连锁次数
+        this.comboChain = null;  // 当前连锁所在的球链；为 null 表示没有进行中的连锁
+        this.streak = 0;         // 当前连击次数
+        this.maxCombo = 0;       // 本关最高连锁
+    }
+
+    /**
+     * 连击倍率
+     * @returns {number}
+     */
+    getStreakMultiplier() {
+        return 1 + Math.min(Math.max(this.streak - 1, 0) * STREAK_BONUS, MAX_STREAK_BONUS);
+    }
+
+    /**
+     * 射击插入后形成消除：开始新的连锁，连击 +1
+     * @param {BallChain} chain - 被击中的球链
+     * @param {number} count - 消除的球数
+     * @returns {Object} {points, combo, streak}
+     */
+    shotMatched(chain, count) {
+        this.streak++;
+        this.combo = 1;
+        this.comboChain = chain;
+        return this.score(count);
+    }
+
+    /**
+     * 射击插入后没有形成消除，或弹射物飞出屏幕：中断连击
+     * 之前射击的连锁不受影响，空隙闭合时仍可继续连锁，直到该球链的空隙全部闭合 (endCombo)
+     */
+    shotMissed() {
+        this.streak = 0;
+    }
+
+    /**
+     * 球链移动中（空隙闭合时）形成的消除
+     * 如果发生在进行中连锁的球链上，算作连锁反应，连锁 +1
+     * @param {BallChain} chain - 发生消除的球链
+     * @param {number} count - 消除的球数
+     * @returns {Object} {points, combo, streak}
+     */
+    chainMatched(chain, count) {
+        if (chain === this.comboChain) {
+            this.combo++;
+            return this.score(count);
+        }
+        // 与射击无关的消除，只得基础分
+        return { points: count * BALL_POINTS, combo: 1, streak: this.streak };
+    }
+
+    /**
+     * 连锁结束（球链上的空隙已全部闭合，不会再有连锁反应）
+     */
+    endCombo() {
+        this.combo = 0;
+        this.comboChain = null;
+    }
+
+    /**
+     * 炸弹等道具直接清除的球，只得基础分
+     * @param {number} count - 清除的球数
+     * @returns {number} 得分
+     */
+    bonus(count) {
+        return count * BALL_POINTS;
+    }
+
+    /**
+     * 按当前连锁和连击倍率计算得分
+     * @param {number} count - 消除的球数
+     * @returns {Object} {points, combo, streak}
+     */
+    score(count) {
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        const points = Math.round(count * BALL_POINTS * this.combo * this.getStreakMultiplier());
+        return { points, combo: this.combo, streak: this.streak };
+    }
+}
@@ -1,3 +1,6 @@
+import { POWER_UPS } from './PowerUps.js';
+import { Random } from './Random.js';
+
 /**
  * 发射器类 (Shooter Class)
  * 玩家控制的青蛙/发射台。
@@ -8,12 +11,17 @@ export class Shooter {
      * 初始化发射器
      * @param {number} x - 发射器中心 X 坐标
      * @param {number} y - 发射器中心 Y 坐标
+     * @param {Array<string>} colors - 可用的球颜色（关卡调色板）
+     * @param {Random} rng - 共享的随机数生成器
      */
-    constructor(x, y) {
+    constructor(x, y, colors = ['#ff0055', '#00f2ff', '#00ff00', '#ffff00'], rng = new Random(Random.createSeed())) {
         this.x = x;
         this.y = y;
         this.angle = 0; // 瞄准角度 (弧度)
-        this.colors = ['#ff0055', '#00f2ff', '#00ff00', '#ffff00']; // 可用的球颜色
+        this.colors = colors; // 关卡调色板
+        // 当前可发放的颜色：只包含球链上仍然存在的颜色（由 setAvailableColors 更新）
+        this.availableColors = colors;
+        this.rng = rng;
         this.radius = 25; // 发射器本体半径
 
         // 初始化当前球和下一个球的颜色
@@ -22,24 +30,167 @@ export class Shooter {
 
         this.cooldown = 0; // 当前冷却时间
         this.cooldownTime = 0.3; // 射击冷却间隔 (秒)
+        this.projectileSpeed = 800; // 弹射物速度 (像素/秒)
+        this.projectileRadius = 18; // 弹射物半径 (应与 BallChain 中的球一致)
+        this.accuracy = false; // 精准道具是否生效（更快的直射）
+        this.swapDuration = 0.2; // 交换动画时长 (秒)
+        this.swapTimer = 0; // 交换动画剩余时间
+
+        // 滑轨（可选）：发射器只能沿这条路径移动，瞄准角度限制在 aimArc 范围内
+        this.rail = null;         // 滑轨路径 (Path)
+        this.railDistance = 0;    // 发射器在滑轨上的位置（沿路径的距离）
+        this.aimArc = null;       // 允许的瞄准角度范围 [min, max] (弧度)；null 表示不限制
+    }
+
+    /**
+     * 把发射器放到滑轨上，移动到滑轨上横坐标最接近当前位置的点，并朝向瞄准范围的中间
+     * @param {Path} rail - 滑轨路径
+     * @param {Array<number>|null} aimArc - 允许的瞄准角度范围 [min, max] (弧度)
+     */
+    setRail(rail, aimArc = null) {
+        this.rail = rail;
+        this.aimArc = aimArc;
+        this.followX(this.x);
+        this.setAngle(aimArc ? (aimArc[0] + aimArc[1]) / 2 : this.angle);
     }
 
     /**
-     * 随机获取一种颜色
+     * 沿滑轨移动到指定位置（超出两端时停在端点）；没有滑轨时忽略
+     * @param {number} distance - 沿滑轨的距离
+     */
+    setRailDistance(distance) {
+        if (!this.rail) return;
+        this.railDistance = Math.max(0, Math.min(this.rail.totalLength, distance));
+        const p = this.rail.getPointAt(this.railDistance);
+        this.x = p.x;
+        this.y = p.y;
+    }
+
+    /**
+     * 沿滑轨移动一段距离（键盘操作）
+     * @param {number} delta - 移动的距离，正数朝滑轨终点方向
+     */
+    moveAlongRail(delta) {
+        this.setRailDistance(this.railDistance + delta);
+    }
+
+    /**
+     * 沿滑轨移动到横坐标最接近 x 的位置（跟随指针的水平位置）
+     * 滑轨在多处经过同一横坐标时，选择离当前位置最近的一处，避免来回跳动
+     * @param {number} x - 目标横坐标
+     */
+    followX(x) {
+        if (!this.rail) return;
+        const { points, segmentLengths, cumulativeLengths } = this.rail;
+        let best = null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const t = b.x !== a.x ? Math.max(0, Math.min(1, (x - a.x) / (b.x - a.x))) : 0;
+            const error = Math.abs(a.x + (b.x - a.x) * t - x);
+            const distance = cumulativeLengths[i] + segmentLengths[i] * t;
+            const closer = best && Math.abs(distance - this.railDistance) < Math.abs(best.distance - this.railDistance);
+            if (!best || error < best.error - 0.5 || (Math.abs(error - best.error) <= 0.5 && closer)) {
+                best = { error, distance };
+            }
+        }
+        this.setRailDistance(best.distance);
+    }
+
+    /**
+     * 设置瞄准角度，限制在允许的范围内
+     * @param {number} angle - 瞄准角度 (弧度)
+     */
+    setAngle(angle) {
+        if (!this.aimArc) {
+            this.angle = angle;
+            return;
+        }
+        // 先把角度换算到范围中心附近的一圈内，再截断到范围两端
+        const [min, max] = this.aimArc;
+        const center = (min + max) / 2;
+        let offset = angle - center;
+        offset -= Math.PI * 2 * Math.round(offset / (Math.PI * 2));
+        this.angle = center + Math.max(min - center, Math.min(max - center, offset));
+    }
+
+    /**
+     * 获取允许的瞄准角度范围
+     * @returns {Object} {min, max} (弧度)；没有限制时为一整圈
+     */
+    getAimRange() {
+        return this.aimArc ? { min: this.aimArc[0], max: this.aimArc[1] } : { min: -Math.PI, max: Math.PI };
+    }
+
+    /**
+     * 随机获取一种颜色（只从球链上仍然存在的颜色中选择）
      * @returns {string} 颜色代码
      */
     getRandomColor() {
-        return this.colors[Math.floor(Math.random() * this.colors.length)];
+        return this.rng.pick(this.availableColors);
+    }
+
+    /**
+     * 更新可发放的颜色，并重新随机已经不在球链上的当前球/下一个球
+     * @param {Array<string>} colors - 球链上仍然存在的颜色；为空时使用整个调色板
+     */
+    setAvailableColors(colors) {
+        this.availableColors = colors.length > 0 ? colors : this.colors;
+
+        // 某种颜色被完全消除后，发射器不应再持有该颜色
+        if (!this.availableColors.includes(this.currentBall)) {
+            this.currentBall = this.getRandomColor();
+        }
+        if (!this.availableColors.includes(this.nextBall)) {
+            this.nextBall = this.getRandomColor();
+        }
+    }
+
+    /**
+     * 交换当前球和下一个球
+     */
+    swap() {
+        [this.currentBall, this.nextBall] = [this.nextBall, this.currentBall];
+        this.swapTimer = this.swapDuration; // 开始交换动画
+    }
+
+    /**
+     * 交换动画的进度
+     * @returns {number} 0 (刚开始交换) ~ 1 (动画结束)
+     */
+    getSwapProgress() {
+        return 1 - this.swapTimer / this.swapDuration;
     }
 
     /**
      * 更新瞄准角度
-     * 使发射器朝向目标点 (通常是鼠标位置)
+     * 使发射器朝向目标点 (通常是鼠标位置)；有瞄准范围限制时截断到范围内
      * @param {number} targetX - 目标点 X 坐标
      * @param {number} targetY - 目标点 Y 坐标
      */
     updateAngle(targetX, targetY) {
-        this.angle = Math.atan2(targetY - this.y, targetX - this.x);
+        this.setAngle(Math.atan2(targetY - this.y, targetX - this.x));
+    }
+
+    /**
+     * 创建一个以指定角度射出的弹射物（不消耗当前球，预测弹道时也使用）
+     * @param {number} angle - 发射角度 (弧度)
+     * @returns {Object} 弹射物对象 {x, y, vx, vy, color, radius}
+     */
+    createProjectile(angle) {
+        // 精准道具生效时使用更快的弹射物速度
+        const speed = this.accuracy ? POWER_UPS.accuracy.projectileSpeed : this.projectileSpeed;
+
+        return {
+            // 起始位置：发射器边缘
+            x: this.x + Math.cos(angle) * this.radius,
+            y: this.y + Math.sin(angle) * this.radius,
+            // 速度向量：沿角度方向
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            color: this.currentBall,
+            radius: this.projectileRadius
+        };
     }
 
     /**
@@ -50,16 +201,7 @@ export class Shooter {
         if (this.cooldown > 0) return null;
 
         // 创建弹射物对象
-        const projectile = {
-            // 起始位置：发射器边缘
-            x: this.x + Math.cos(this.angle) * this.radius,
-            y: this.y + Math.sin(this.angle) * this.radius,
-            // 速度向量：沿角度方向
-            vx: Math.cos(this.angle) * 800, // 速度 800 像素/秒
-            vy: Math.sin(this.angle) * 800,
-            color: this.currentBall,
-            radius: 18 // 弹射物半径 (应与 BallChain 中的球一致)
-        };
+        const projectile = this.createProjectile(this.angle);
 
         // 更新球的颜色队列
         this.currentBall = this.nextBall;
@@ -72,12 +214,15 @@ export class Shooter {
     }
 
     /**
-     * 更新发射器状态 (主要是冷却时间)
+     * 更新发射器状态 (冷却时间和交换动画)
      * @param {number} dt - 时间增量
      */
     update(dt) {
         if (this.cooldown > 0) {
             this.cooldown -= dt;
         }
+        if (this.swapTimer > 0) {
+            this.swapTimer = Math.max(0, this.swapTimer - dt);
+        }
     }
 }
@@ -0,0 +1,883 @@
+import { LevelLoader } from './LevelLoader.js';
+import { POWER_UPS } from './PowerUps.js';
+import { ScoreKeeper } from './ScoreKeeper.js';
+import { Random } from './Random.js';
+import { ParticleSystem } from './Particles.js';
+import { PickupField, PICKUPS } from './Pickups.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './Difficulty.js';
+import { EventBus } from './EventBus.js';
+
+const TIMESTEP = 1 / 60;      // 固定模拟步长 (秒)
+const MAX_FRAME_TIME = 0.25;  // 单次 step 最多累积的时间，防止卡顿后一次补算过多步
+const DANGER_PROGRESS = 0.85; // 球链前进超过路径的这个比例时进入危险状态
+// 关卡结束动画
+const DRAIN_SPEED = 300;       // 失败时剩余的球冲向骷髅头的初始速度 (像素/秒)
+const DRAIN_ACCEL = 1500;      // 冲入速度的加速度 (像素/秒²)
+const MARKER_SPEED = 800;      // 胜利时奖励标记沿剩余轨道前进的速度 (像素/秒)
+const BONUS_PER_PIXEL = 1;     // 剩余轨道每像素的奖励分数
+const ENDING_TIME_LIMIT = 6;   // 结束动画的最长时间 (秒)，超时直接结算
+// 加速 (surge)：双人对战中对手打出大连锁时，本方球链暂时加速
+const SURGE_SPEED_FACTOR = 1.6; // 加速期间球链的速度倍率
+const MAX_SURGE_TIME = 10;      // 加速时间最多累积到这么长 (秒)
+
+/**
+ * 游戏模拟类 (Simulation Class)
+ * 包含所有玩法状态和规则：路径、球链、发射器、弹射物、计分、道具和胜负判定。
+ * 支持同屏双人合作：每个玩家一个发射器、各自的待发射球和计分，共同对付同一组球链。
+ * 不依赖 DOM、Canvas 或浏览器计时器，可以直接在 Node 中运行（测试、脚本、平衡性模拟）。
+ * 浏览器中由 Game 类包装，负责渲染和鼠标输入。
+ * 发生的事情通过事件总线 sim.events 通知外部，事件类型和数据见 EventBus.js。
+ */
+export class Simulation {
+    /**
+     * 初始化模拟
+     * @param {number} width - 场景宽度
+     * @param {number} height - 场景高度
+     * @param {Object} options - 选项 {seed, timestep, difficulty, players}：指定 seed 时每局都使用该种子，否则每局随机生成；
+     *                           difficulty 为难度名称（见 Difficulty.js），默认为普通难度；
+     *                           players 为玩家人数（1 或 2，2 为双人合作），默认为 1
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.events = new EventBus(); // 事件总线：UI、音效等通过 events.on(type, listener) 订阅
+        this.options = options;
+        this.timestep = options.timestep || TIMESTEP;
+        this.accumulator = 0; // 尚未模拟的累积时间
+
+        // 游戏状态变量
+        this.score = 0;      // 当前得分（双人合作时为全队总分）
+        this.level = 1;      // 当前关卡
+        this.isRunning = false; // 游戏是否正在进行中
+        this.isPaused = false;  // 游戏是否暂停
+        this.difficulty = DIFFICULTIES[options.difficulty] ? options.difficulty : DEFAULT_DIFFICULTY; // 难度名称
+        this.players = options.players === 2 ? 2 : 1; // 玩家人数
+        // 每个玩家自己打出的分数；过关奖励等不属于任何玩家的分数只计入总分
+        this.playerScores = new Array(this.players).fill(0);
+        // 随机数生成器：所有玩法相关的随机数（球颜色、道具）都来自这里
+        this.seed = this.createSeed();
+        this.rng = new Random(this.seed);
+        // 粒子特效（消除爆裂、撞击火花、飘字、屏幕震动）
+        this.particles = new ParticleSystem();
+
+        // 初始化核心组件
+        // 关卡加载器：根据关卡数据创建以下组件
+        // 1. Path: 定义球滚动的轨道（每关可有多条）
+        // 2. BallChain: 管理轨道上的球链逻辑（每条轨道一条球链）
+        // 3. Shooter: 玩家控制的发射器（青蛙），每个玩家一个
+        this.levelLoader = new LevelLoader();
+        this.resetLevel();
+    }
+
+    /**
+     * 通知外部（UI 等）某个事件发生
+     * @param {string} type - 事件类型（见 EventBus.js 中的 GAME_EVENTS）
+     * @param {Object} payload - 事件数据
+     */
+    emit(type, payload) {
+        this.events.emit(type, payload);
+    }
+
+    /**
+     * 玩家 1 的发射器（单人游戏中唯一的发射器）
+     * @returns {Shooter}
+     */
+    get shooter() {
+        return this.shooters[0];
+    }
+
+    /**
+     * 加分并通知 scoreChanged
+     * @param {number} points - 增加的分数
+     * @param {number|null} [player] - 得分的玩家编号；null 表示不属于任何玩家（只计入总分）
+     */
+    addScore(points, player = null) {
+        this.score += points;
+        if (player !== null) this.playerScores[player] += points;
+        this.emit('scoreChanged', { score: this.score, delta: points, player, playerScores: [...this.playerScores] });
+    }
+
+    /**
+     * 获取本局使用的种子：优先使用选项中指定的种子
+     * @returns {number}
+     */
+    createSeed() {
+        return this.options.seed !== undefined ? Random.normalizeSeed(this.options.seed) : Random.createSeed();
+    }
+
+    /**
+     * 替换关卡数据（例如试玩编辑器中的关卡），并回到第一关
+     * @param {Object} [data] - 关卡数据 {version, endless, levels}，缺省时恢复内置关卡
+     */
+    setLevelData(data) {
+        this.levelLoader = new LevelLoader(data);
+        this.level = 1;
+        this.resetLevel();
+    }
+
+    /**
+     * 设置难度，从下一次 start() 或 resetLevel() 开始生效
+     * @param {string} name - 难度名称 ('easy' | 'normal' | 'hard')
+     */
+    setDifficulty(name) {
+        if (!DIFFICULTIES[name]) throw new Error(`Unknown difficulty: ${name}`);
+        this.difficulty = name;
+    }
+
+    /**
+     * 设置玩家人数，从下一次 start() 开始生效
+     * 人数不变时保留每个玩家的得分（如从存档恢复后再设置模式）
+     * @param {number} players - 1（单人）或 2（双人合作）
+     */
+    setPlayers(players) {
+        if (players !== 1 && players !== 2) throw new Error(`Unsupported player count: ${players}`);
+        if (players === this.players) return;
+        this.players = players;
+        this.playerScores = new Array(players).fill(0);
+    }
+
+    /**
+     * 开始新游戏
+     * @param {number} [level] - 从第几关开始，默认为第一关（平衡性测试脚本可以直接从某一关开始）
+     * @param {number} [seed] - 本局的种子，默认按选项生成（双人对战时两边使用同一个种子）
+     */
+    start(level = 1, seed = this.createSeed()) {
+        this.score = 0;
+        this.playerScores.fill(0);
+        this.level = level;
+        // 每局重新播种，相同种子 + 相同操作 = 相同的对局
+        this.seed = Random.normalizeSeed(seed);
+        this.rng = new Random(this.seed);
+        this.resetLevel(); // 重置关卡状态
+        this.isRunning = true;
+        this.isPaused = false;
+
+        // 初始化 UI 显示
+        this.emit('scoreChanged', { score: this.score, delta: 0, player: null, playerScores: [...this.playerScores] });
+        this.emit('levelStarted', { level: this.level, difficulty: this.difficulty, resumed: false });
+    }
+
+    /**
+     * 进入下一关
+     */
+    nextLevel() {
+        this.level++;
+        this.resetLevel(); // 根据新关卡重置状态
+        this.isRunning = true;
+        this.isPaused = false;
+        this.emit('levelStarted', { level: this.level, difficulty: this.difficulty, resumed: false });
+    }
+
+    /**
+     * 切换暂停状态
+     */
+    togglePause() {
+        // 结束动画播放期间不能暂停
+        if (!this.isRunning || this.ending) return;
+        this.isPaused = !this.isPaused;
+        // 通知 UI 层暂停状态已改变
+        this.emit('pauseChanged', { paused: this.isPaused });
+    }
+
+    /**
+     * 重置关卡相关的所有对象
+     */
+    resetLevel() {
+        // 从关卡数据重新生成所有路径、球链和发射器
+        const { level, paths, chains, shooters, walls } = this.levelLoader.build(
+            this.level, this.width, this.height, this.rng, DIFFICULTIES[this.difficulty], this.events, this.players
+        );
+        this.levelDef = level;
+        this.paths = paths;
+        this.chains = chains;
+        this.shooters = shooters; // 每个玩家的发射器，下标即玩家编号
+        this.walls = walls; // 阻挡弹射物的墙 [{x, y, w, h}]
+        // 弯道之间限时出现的奖励物品（金币、宝石）
+        this.pickups = new PickupField({ width: this.width, height: this.height, paths, shooters, walls, rng: this.rng });
+        // 清空所有活动的弹射物和粒子效果
+        this.projectiles = [];
+        this.particles.clear();
+        // 道具效果剩余时间 (秒)；surge 为对战中被对手加速的剩余时间
+        this.effects = { reverse: 0, slow: 0, accuracy: 0, surge: 0 };
+        // 是否有球链接近终点（危险状态）
+        if (this.inDanger) this.emit('dangerChanged', { inDanger: false });
+        this.inDanger = false;
+        // 关卡结束动画 {type: 'lost' | 'won', ...}，播放完毕后才结算；null 表示关卡进行中
+        this.ending = null;
+        // 每个玩家各自的连锁和连击
+        this.scoreKeepers = this.shooters.map(() => new ScoreKeeper());
+        this.accumulator = 0;
+        // 本关统计：用时、射击数、命中数（击中球链的次数，无论是否形成消除）、最大单次消除
+        this.stats = { time: 0, shotsFired: 0, shotsHit: 0, largestMatch: 0, bonus: 0, startScore: this.score };
+    }
+
+    /**
+     * 获取本关到目前为止的统计数据
+     * @returns {Object} {level, score, time, shotsFired, shotsHit, largestMatch, bonus}，score 为本关获得的分数（包含过关奖励 bonus）
+     */
+    getLevelStats() {
+        const { startScore, ...stats } = this.stats;
+        return { level: this.level, score: this.score - startScore, ...stats };
+    }
+
+    /**
+     * 导出完整的对局状态（纯数据，可直接 JSON 序列化）
+     * 路径等可由关卡数据重建的内容不包含在内；过关结算后导出时 cleared 为 true，恢复时从下一关开始
+     * @returns {Object} 对局状态
+     */
+    getState() {
+        return {
+            cleared: !this.isRunning && this.ending !== null && this.ending.type === 'won',
+            seed: this.seed,
+            rngState: this.rng.state,
+            score: this.score,
+            level: this.level,
+            difficulty: this.difficulty,
+            playerScores: [...this.playerScores],
+            effects: { ...this.effects },
+            scoreKeepers: this.scoreKeepers.map(keeper => ({
+                combo: keeper.combo,
+                comboChain: this.chains.indexOf(keeper.comboChain),
+                streak: keeper.streak,
+                maxCombo: keeper.maxCombo
+            })),
+            chains: this.chains.map(chain => ({
+                // 坐标缓存 (x, y, angle) 在恢复后重新计算
+                balls: chain.balls.map(({ x, y, angle, ...ball }) => ({ ...ball })),
+                spawnedCount: chain.spawnedCount,
+                spawnTimer: chain.spawnTimer,
+                rushing: chain.rushing,
+                furthest: chain.furthest,
+                nextId: chain.nextId
+            })),
+            shooters: this.shooters.map(shooter => ({
+                angle: shooter.angle,
+                railDistance: shooter.railDistance,
+                currentBall: shooter.currentBall,
+                nextBall: shooter.nextBall,
+                cooldown: shooter.cooldown
+            })),
+            projectiles: this.projectiles.map(p => ({ ...p })),
+            pickups: this.pickups.getState(),
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * 从 getState() 导出的数据恢复对局，恢复后游戏处于运行状态
+     * 数据不完整或与当前关卡数据不匹配时抛出错误，此时模拟状态不保证完整，调用方应重新开始游戏
+     * @param {Object} state - 对局状态
+     */
+    loadState(state) {
+        const check = (cond, msg) => {
+            if (!cond) throw new Error(`Invalid game state: ${msg}`);
+        };
+        check(state && typeof state === 'object', 'not an object');
+        check(Number.isInteger(state.level) && state.level >= 1, 'level');
+        check(Number.isFinite(state.score), 'score');
+        check(Number.isFinite(state.rngState), 'rngState');
+        check(Array.isArray(state.chains), 'chains');
+        check(Array.isArray(state.shooters) && (state.shooters.length === 1 || state.shooters.length === 2), 'shooters');
+        check(state.shooters.every(shooter => shooter && typeof shooter === 'object'), 'shooters');
+        check(Array.isArray(state.projectiles), 'projectiles');
+
+        // 先按关卡数据重建路径、球链和发射器，再覆盖保存的动态状态
+        this.level = state.level;
+        this.score = state.score;
+        // 旧存档没有难度信息，按普通难度恢复
+        this.difficulty = DIFFICULTIES[state.difficulty] ? state.difficulty : DEFAULT_DIFFICULTY;
+        this.players = state.shooters.length;
+        this.playerScores = Array.isArray(state.playerScores) && state.playerScores.length === this.players
+            ? [...state.playerScores]
+            : new Array(this.players).fill(0);
+        this.seed = Random.normalizeSeed(state.seed);
+        this.rng = new Random(this.seed);
+
+        // 过关后保存的存档：与胜利界面上进入下一关相同，从下一关开头继续
+        if (state.cleared === true) {
+            this.rng.state = state.rngState >>> 0;
+            this.level++;
+            this.resetLevel();
+            this.isRunning = true;
+            this.isPaused = false;
+            this.emit('scoreChanged', { score: this.score, delta: 0, player: null, playerScores: [...this.playerScores] });
+            this.emit('levelStarted', { level: this.level, difficulty: this.difficulty, resumed: true });
+            return;
+        }
+
+        this.resetLevel();
+        this.rng.state = state.rngState >>> 0;
+
+        check(state.chains.length === this.chains.length, 'track count does not match level data');
+        state.chains.forEach((saved, i) => {
+            check(Array.isArray(saved.balls), `chains[${i}].balls`);
+            check(Number.isInteger(saved.spawnedCount) && Number.isInteger(saved.nextId), `chains[${i}] counters`);
+            check(Number.isFinite(saved.spawnTimer), `chains[${i}].spawnTimer`);
+            const chain = this.chains[i];
+            chain.balls = saved.balls.map(ball => {
+                check(typeof ball.color === 'string' && Number.isFinite(ball.distance), `chains[${i}] ball`);
+                return { ...ball, radius: chain.ballRadius };
+            });
+            chain.spawnedCount = saved.spawnedCount;
+            chain.spawnTimer = saved.spawnTimer;
+            chain.rushing = saved.rushing === true;
+            chain.furthest = Number.isFinite(saved.furthest) ? saved.furthest : 0;
+            chain.nextId = saved.nextId;
+            chain.updatePositions();
+        });
+
+        Object.assign(this.effects, state.effects);
+        state.shooters.forEach((saved, i) => {
+            Object.assign(this.shooters[i], saved);
+            this.shooters[i].setRailDistance(this.shooters[i].railDistance); // 按滑轨上的位置恢复坐标
+        });
+        this.projectiles = state.projectiles.map((p, i) => {
+            check(p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.vx) && Number.isFinite(p.vy), `projectiles[${i}]`);
+            // 没有记录玩家（或玩家编号无效）的弹射物算作玩家 0 射出的
+            const player = Number.isInteger(p.player) && p.player >= 0 && p.player < this.players ? p.player : 0;
+            return { ...p, player };
+        });
+        this.pickups.loadState(state.pickups);
+
+        this.scoreKeepers.forEach((keeper, i) => {
+            const saved = (state.scoreKeepers || [])[i] || {};
+            keeper.combo = saved.combo || 0;
+            keeper.comboChain = this.chains[saved.comboChain] || null;
+            keeper.streak = saved.streak || 0;
+            keeper.maxCombo = saved.maxCombo || 0;
+        });
+        // 旧存档没有统计数据时从恢复的这一刻开始统计
+        Object.assign(this.stats, state.stats);
+
+        this.isRunning = true;
+        this.isPaused = false;
+        this.emit('scoreChanged', { score: this.score, delta: 0, player: null, playerScores: [...this.playerScores] });
+        this.emit('levelStarted', { level: this.level, difficulty: this.difficulty, resumed: true });
+    }
+
+    /**
+     * 应用一个玩家操作
+     * 支持的操作：
+     * - {type: 'aim', x, y}：瞄准某个点
+     * - {type: 'aim', angle}：直接设置瞄准角度 (弧度)
+     * - {type: 'rotate', delta}：在当前瞄准角度上旋转 delta 弧度
+     * - {type: 'move', delta}：沿滑轨移动发射器 delta 像素（关卡没有滑轨时无效）
+     * - {type: 'fire'}：发射当前球
+     * - {type: 'swap'}：交换当前球和下一个球
+     * - {type: 'pause'}：切换暂停
+     * 除暂停外，操作可以带 player 字段指定操作哪个玩家的发射器（默认为玩家 0），不存在的玩家的操作被忽略
+     * @param {Object} action - 操作对象
+     */
+    applyInput(action) {
+        if (action.type === 'pause') {
+            this.togglePause();
+            return;
+        }
+        if (!this.isRunning || this.isPaused || this.ending) return;
+        const player = action.player || 0;
+        const shooter = this.shooters[player];
+        if (!shooter) return;
+
+        switch (action.type) {
+            case 'aim':
+                if (action.angle !== undefined) {
+                    shooter.setAngle(action.angle);
+                } else {
+                    // 有滑轨时发射器先跟随指针的水平位置移动，再朝指针瞄准
+                    shooter.followX(action.x);
+                    shooter.updateAngle(action.x, action.y);
+                }
+                break;
+            case 'rotate':
+                shooter.setAngle(shooter.angle + action.delta);
+                break;
+            case 'move':
+                shooter.moveAlongRail(action.delta);
+                break;
+            case 'fire': {
+                const proj = shooter.shoot(); // 尝试发射
+                if (proj) {
+                    proj.player = player; // 记录射出它的玩家，用于计分
+                    this.projectiles.push(proj); // 如果发射成功，添加到弹射物列表
+                    this.stats.shotsFired++;
+                    this.emit('shotFired', { player, color: proj.color, x: proj.x, y: proj.y, angle: shooter.angle });
+                }
+                break;
+            }
+            case 'swap':
+                shooter.swap();
+                break;
+            default:
+                throw new Error(`Unknown input action: ${action.type}`);
+        }
+    }
+
+    /**
+     * 推进模拟时间
+     * 累积传入的时间，并以固定步长调用 update，保证相同的输入序列得到相同的结果
+     * @param {number} dt - 经过的真实时间 (秒)
+     * @returns {number} 本次实际执行的固定步数
+     */
+    step(dt) {
+        if (this.isPaused) return 0;
+        if (!this.isRunning) {
+            // 对局已结束：只继续播放剩余的特效
+            this.particles.update(dt);
+            return 0;
+        }
+
+        this.accumulator = Math.min(this.accumulator + dt, MAX_FRAME_TIME);
+        let steps = 0;
+        while (this.accumulator >= this.timestep && this.isRunning) {
+            this.update(this.timestep);
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * 执行一个固定步长的游戏逻辑更新
+     * @param {number} dt - 时间增量 (秒)
+     */
+    update(dt) {
+        // 结束动画期间只播放动画，不再推进玩法
+        if (this.ending) {
+            this.updateEnding(dt);
+            return;
+        }
+        this.stats.time += dt;
+
+        // 更新道具效果计时器，并将效果应用到球链和发射器
+        this.updateEffects(dt);
+
+        // 更新粒子特效
+        this.particles.update(dt);
+
+        // 更新发射器（主要处理冷却时间）
+        for (const shooter of this.shooters) shooter.update(dt);
+
+        // 更新奖励物品（生成和超时消失）
+        this.pickups.update(dt);
+
+        // 更新所有球链（移动、生成新球、消除检测）
+        for (const chain of this.chains) {
+            chain.update(dt, (matchCount, removed) => {
+                // 球链移动中形成的消除（空隙闭合引发的连锁反应），算在这条球链上有进行中连锁的玩家名下；
+                // 双人合作时没有这样的玩家则只得基础分，且只计入总分
+                let player = this.scoreKeepers.findIndex(keeper => keeper.comboChain === chain);
+                if (player === -1) player = this.players === 1 ? 0 : null;
+                const keeper = this.scoreKeepers[player ?? 0];
+                this.handleMatch(chain, removed, keeper.chainMatched(chain, matchCount), 'chain', player);
+            }, (removed, player) => {
+                // 射入的球到位后检查是否形成消除
+                const keeper = this.scoreKeepers[player];
+                if (removed.length > 0) {
+                    this.handleMatch(chain, removed, keeper.shotMatched(chain, removed.length), 'shot', player);
+                } else {
+                    keeper.shotMissed();
+                }
+            });
+        }
+
+        // 发射器只发放球链上仍然存在的颜色
+        const colors = this.getChainColors();
+        for (const shooter of this.shooters) shooter.setAvailableColors(colors);
+
+        // 连锁所在球链的空隙已全部闭合，不会再有连锁反应
+        for (const keeper of this.scoreKeepers) {
+            if (keeper.comboChain && !keeper.comboChain.hasGaps()) keeper.endCombo();
+        }
+
+        // 检测游戏失败：任意一条球链到达终点，剩余的球冲进骷髅头后结算
+        const lostChain = this.chains.find(chain => chain.hasReachedEnd());
+        if (lostChain) {
+            this.beginEnding('lost', lostChain);
+            return;
+        }
+
+        // 危险状态：任意一条球链接近终点，状态变化时通知 UI（警报音效等）
+        const danger = this.chains.some(chain => this.isChainInDanger(chain));
+        if (danger !== this.inDanger) {
+            this.inDanger = danger;
+            this.emit('dangerChanged', { inDanger: danger });
+        }
+
+        // 检测游戏胜利：所有球链都为空且已生成完所有球，奖励标记跑完剩余轨道后结算
+        if (this.chains.every(chain => chain.isEmpty() && chain.hasFinishedSpawning())) {
+            this.beginEnding('won');
+            return;
+        }
+
+        // 更新所有弹射物
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const proj = this.projectiles[i];
+            const hit = this.advanceProjectile(proj, dt);
+
+            // 边界检查：如果超出场景范围，移除弹射物（打空，中断连击）
+            if (hit && hit.blocked === 'bounds') {
+                this.projectiles.splice(i, 1);
+                this.scoreKeepers[proj.player].shotMissed();
+                this.emit('projectileMissed', { color: proj.color, x: proj.x, y: proj.y, reason: 'bounds' });
+                continue;
+            }
+
+            // 穿过奖励物品时收集它，弹射物继续飞行
+            for (const item of this.pickups.collect(proj)) {
+                this.collectPickup(item, proj.player);
+            }
+            if (!hit) continue;
+
+            // 撞到墙上：弹射物碎裂（打空，中断连击）
+            if (hit.blocked === 'wall') {
+                this.particles.sparks(proj.x, proj.y, '#ffffff');
+                this.projectiles.splice(i, 1);
+                this.scoreKeepers[proj.player].shotMissed();
+                this.emit('projectileMissed', { color: proj.color, x: proj.x, y: proj.y, reason: 'wall' });
+                continue;
+            }
+
+            // 击中球链：将弹射物插入到被击中的球链中
+            // 新球滑入到位后，球链会在 update 中检查消除并回调
+            const { chain } = hit;
+            chain.insertBall(proj, hit.index);
+            this.stats.shotsHit++;
+            this.emit('ballInserted', { track: chain.track, color: proj.color, x: proj.x, y: proj.y });
+            this.particles.sparks(proj.x, proj.y, proj.color);
+            this.projectiles.splice(i, 1); // 移除弹射物
+        }
+    }
+
+    /**
+     * 弹射物按速度前进一步，并检查它是否飞出场景、撞墙或击中球链
+     * 真实弹射物 (update) 和预测弹道 (predictShot) 都使用它，两者逐步走过完全相同的位置
+     * @param {Object} proj - 弹射物 {x, y, vx, vy, radius}，位置会被更新
+     * @param {number} dt - 时间增量 (秒)
+     * @returns {Object|null} {blocked: 'bounds' | 'wall'}，或击中球链时 {chain, index, blocked: null}；继续飞行时返回 null
+     */
+    advanceProjectile(proj, dt) {
+        proj.x += proj.vx * dt;
+        proj.y += proj.vy * dt;
+
+        if (proj.x < -50 || proj.x > this.width + 50 || proj.y < -50 || proj.y > this.height + 50) {
+            return { blocked: 'bounds' };
+        }
+        if (this.hitsWall(proj.x, proj.y, proj.radius)) {
+            return { blocked: 'wall' };
+        }
+        for (const chain of this.chains) {
+            const collision = chain.checkCollision(proj);
+            if (collision) return { chain, index: collision.index, blocked: null };
+        }
+        return null;
+    }
+
+    /**
+     * 预测以某个角度发射的球会停在哪里（假设球链保持当前位置不动）
+     * 从与真实弹射物相同的起点、以相同的速度和步长逐步前进 (advanceProjectile)，
+     * 因此球链不动时预测的落点与真实结果完全一致
+     * @param {number} angle - 发射角度 (弧度)
+     * @param {Shooter} [shooter] - 从哪个发射器发射，默认为玩家 1 的发射器
+     * @returns {Object} {x, y, chain, index, insertIndex, blocked}：
+     *                   击中球链时 chain/index 为被击中的球链和球的索引，insertIndex 为插入位置；
+     *                   否则 chain 为 null，blocked 为 'bounds'（飞出场景）或 'wall'（撞墙）
+     */
+    predictShot(angle, shooter = this.shooter) {
+        const probe = shooter.createProjectile(angle);
+
+        for (;;) {
+            const hit = this.advanceProjectile(probe, this.timestep);
+            if (!hit) continue;
+            if (!hit.chain) return { x: probe.x, y: probe.y, chain: null, blocked: hit.blocked };
+            return {
+                x: probe.x,
+                y: probe.y,
+                chain: hit.chain,
+                index: hit.index,
+                insertIndex: hit.chain.getInsertIndex(probe, hit.index),
+                blocked: null
+            };
+        }
+    }
+
+    /**
+     * 计算预测瞄准线：当前瞄准方向上会击中的球、当前球会插入的位置，以及是否会形成消除
+     * 与真实弹射物共用碰撞检测 (predictShot)，只是假设飞行期间球链不动
+     * @param {number} [player] - 玩家编号，默认为玩家 0
+     * @returns {Object|null} predictShot 的结果加上 {slot, willMatch}：slot 为插入位置的坐标 {x, y}（未击中球链时为 null）；
+     *                        当前难度不显示瞄准线或不在对局中时返回 null
+     */
+    getAimGuide(player = 0) {
+        if (!DIFFICULTIES[this.difficulty].aimGuide || !this.isRunning || this.ending) return null;
+        const shooter = this.shooters[player];
+        const shot = this.predictShot(shooter.angle, shooter);
+        if (!shot.chain) return { ...shot, slot: null, willMatch: false };
+
+        const { chain, index, insertIndex } = shot;
+        // 插入位置：被击中的球与它前方或后方相邻球之间
+        const hit = chain.balls[index];
+        const offset = insertIndex > index ? chain.ballRadius : -chain.ballRadius;
+        const slot = chain.path.getPointAt(hit.distance + offset);
+        const willMatch = chain.predictRun(shooter.currentBall, insertIndex, index) >= 3;
+        return { ...shot, slot: { x: slot.x, y: slot.y }, willMatch };
+    }
+
+    /**
+     * 判断球链是否进入危险区域（最前面的球接近骷髅头）
+     * @param {BallChain} chain - 球链
+     * @returns {boolean}
+     */
+    isChainInDanger(chain) {
+        return chain.getProgress() >= DANGER_PROGRESS;
+    }
+
+    /**
+     * 开始关卡结束动画，期间玩家不能操作，飞行中的弹射物被移除
+     * - lost：所有球链的剩余球加速冲进骷髅头，之后骷髅头爆炸并触发 levelEnded (won: false)
+     * - won：每条轨道上有一个奖励标记，从球链到达过的最远处跑到骷髅头，
+     *   经过的每段距离都加分，跑完后触发 levelEnded (won: true)
+     * @param {string} type - 'lost' 或 'won'
+     * @param {BallChain} [lostChain] - 到达终点的球链（失败时）
+     */
+    beginEnding(type, lostChain = null) {
+        this.projectiles = [];
+        this.ending = {
+            type,
+            time: 0,
+            speed: DRAIN_SPEED,
+            lostChain,
+            markers: type === 'won'
+                ? this.chains.map(chain => ({ chain, start: chain.furthest, distance: chain.furthest }))
+                : []
+        };
+    }
+
+    /**
+     * 推进关卡结束动画，播放完毕（或超时）后结算
+     * @param {number} dt - 时间增量 (秒)
+     */
+    updateEnding(dt) {
+        const ending = this.ending;
+        ending.time += dt;
+        this.particles.update(dt);
+
+        let done;
+        if (ending.type === 'lost') {
+            ending.speed += DRAIN_ACCEL * dt;
+            for (const chain of this.chains) {
+                const swallowed = chain.drain(ending.speed * dt);
+                if (swallowed.length > 0) {
+                    const end = chain.path.getPointAt(chain.path.totalLength);
+                    this.particles.sparks(end.x, end.y, swallowed[0].color);
+                }
+            }
+            done = this.chains.every(chain => chain.isEmpty());
+        } else {
+            let gained = 0;
+            for (const marker of ending.markers) {
+                const next = Math.min(marker.chain.path.totalLength, marker.distance + MARKER_SPEED * dt);
+                gained += Math.floor(next * BONUS_PER_PIXEL) - Math.floor(marker.distance * BONUS_PER_PIXEL);
+                marker.distance = next;
+            }
+            if (gained > 0) {
+                this.stats.bonus += gained;
+                this.addScore(gained);
+            }
+            done = ending.markers.every(marker => marker.distance >= marker.chain.path.totalLength);
+        }
+
+        if (done || ending.time >= ENDING_TIME_LIMIT) {
+            this.finishEnding();
+        }
+    }
+
+    /**
+     * 结束动画播放完毕：播放结算特效并通知 UI
+     */
+    finishEnding() {
+        const { type, lostChain } = this.ending;
+        this.isRunning = false;
+
+        if (type === 'lost') {
+            // 在骷髅头处爆炸
+            const end = lostChain.path.getPointAt(lostChain.path.totalLength);
+            this.particles.burst(end.x, end.y, '#ff0055', 60);
+            this.particles.shake(20, 0.6);
+            this.emit('levelEnded', {
+                level: this.level, won: false, score: this.score, playerScores: [...this.playerScores], seed: this.seed, stats: this.getLevelStats()
+            });
+            return;
+        }
+
+        for (const path of this.paths) {
+            const end = path.getPointAt(path.totalLength);
+            this.particles.burst(end.x, end.y, '#ffd700', 30);
+        }
+        if (this.stats.bonus > 0) {
+            this.particles.floatingText(this.width / 2, this.height / 2, `BONUS +${this.stats.bonus}`, '#ffd700', 36);
+        }
+        this.emit('levelEnded', {
+            level: this.level, won: true, score: this.score, playerScores: [...this.playerScores], seed: this.seed, stats: this.getLevelStats()
+        });
+    }
+
+    /**
+     * 收集奖励物品：加分，宝石还会让球链减速一段时间（额外时间）
+     * @param {Object} item - 奖励物品 {type, x, y}
+     * @param {number} player - 射出收集到它的弹射物的玩家
+     */
+    collectPickup(item, player) {
+        const def = PICKUPS[item.type];
+        this.addScore(def.points, player);
+        if (def.time) {
+            this.effects.slow = Math.max(this.effects.slow, def.time);
+        }
+        this.particles.burst(item.x, item.y, def.color, 16);
+        this.particles.floatingText(item.x, item.y, def.time ? `+${def.points} +${def.time}s` : `+${def.points}`, def.color);
+        this.emit('pickupCollected', { player, type: item.type, x: item.x, y: item.y, points: def.points });
+    }
+
+    /**
+     * 检查一个圆是否与任意一面墙相交
+     * @param {number} x - 圆心 X 坐标
+     * @param {number} y - 圆心 Y 坐标
+     * @param {number} radius - 半径
+     * @returns {Object|null} 相交的墙；没有时返回 null
+     */
+    hitsWall(x, y, radius) {
+        for (const wall of this.walls) {
+            // 矩形上离圆心最近的点
+            const nx = Math.max(wall.x, Math.min(x, wall.x + wall.w));
+            const ny = Math.max(wall.y, Math.min(y, wall.y + wall.h));
+            if (Math.hypot(x - nx, y - ny) < radius) return wall;
+        }
+        return null;
+    }
+
+    /**
+     * 收集所有球链上仍然存在的颜色（按调色板顺序，保证结果稳定）
+     * @returns {Array<string>} 颜色列表
+     */
+    getChainColors() {
+        const present = new Set();
+        for (const chain of this.chains) {
+            for (const ball of chain.balls) {
+                present.add(ball.color);
+            }
+        }
+        return this.levelDef.palette.filter(color => present.has(color));
+    }
+
+    /**
+     * 处理一次消除：加分，并触发被消除球上携带的道具
+     * @param {BallChain} chain - 发生消除的球链
+     * @param {Array} removed - 被消除的球（带有消除前的坐标 x, y）
+     * @param {Object} result - ScoreKeeper 的计分结果 {points, combo, streak}
+     * @param {string} cause - 'shot'（射入的球到位后形成）或 'chain'（空隙闭合引发）
+     * @param {number|null} player - 得分的玩家；null 表示不属于任何玩家
+     */
+    handleMatch(chain, removed, result, cause, player) {
+        this.addScore(result.points, player);
+        this.stats.largestMatch = Math.max(this.stats.largestMatch, removed.length);
+        this.emit('matchCleared', {
+            track: chain.track,
+            player,
+            count: removed.length,
+            colors: removed.map(ball => ball.color),
+            positions: removed.map(ball => ({ x: ball.x, y: ball.y })),
+            combo: result.combo,
+            cause
+        });
+
+        // 特效：每个被消除的球处爆裂，中心处飘出得分，大连锁时震动屏幕
+        this.spawnClearEffects(removed, result.points);
+        if (result.combo >= 3) {
+            this.particles.shake(4 + result.combo * 2);
+        }
+
+        // 连锁达到 2 次及以上时通知 UI 显示 "COMBO xN"
+        if (result.combo >= 2) {
+            this.emit('comboChained', { track: chain.track, player, combo: result.combo, streak: result.streak });
+        }
+
+        for (const ball of removed) {
+            if (ball.powerUp) {
+                this.activatePowerUp(ball.powerUp, chain, ball, player);
+            }
+        }
+    }
+
+    /**
+     * 在被清除的球的位置生成爆裂粒子，并在它们的中心飘出得分
+     * @param {Array} balls - 被清除的球（带有坐标 x, y）
+     * @param {number} points - 获得的分数
+     */
+    spawnClearEffects(balls, points) {
+        let cx = 0;
+        let cy = 0;
+        for (const ball of balls) {
+            this.particles.burst(ball.x, ball.y, ball.color);
+            cx += ball.x;
+            cy += ball.y;
+        }
+        this.particles.floatingText(cx / balls.length, cy / balls.length, `+${points}`);
+    }
+
+    /**
+     * 触发道具效果
+     * @param {string} type - 道具类型
+     * @param {BallChain} chain - 道具球所在的球链
+     * @param {Object} ball - 道具球（已从球链中移除）
+     * @param {number|null} player - 触发道具的玩家，炸弹的得分算在该玩家名下
+     */
+    activatePowerUp(type, chain, ball, player) {
+        if (type === 'bomb') {
+            // 炸弹：立即清除爆炸半径内所有球链上的球（以道具球被消除前的位置为中心）
+            const blasted = [];
+            for (const c of this.chains) {
+                blasted.push(...c.removeBallsWithin(ball.x, ball.y, POWER_UPS.bomb.radius));
+            }
+            this.particles.burst(ball.x, ball.y, POWER_UPS.bomb.color, 40);
+            this.particles.shake(12, 0.4);
+            if (blasted.length > 0) {
+                const points = this.scoreKeepers[0].bonus(blasted.length);
+                this.addScore(points, player);
+                this.spawnClearEffects(blasted, points);
+            }
+            return;
+        }
+
+        // 其它道具：开始（或刷新）持续时间
+        this.effects[type] = POWER_UPS[type].duration;
+    }
+
+    /**
+     * 更新道具效果计时器
+     * @param {number} dt - 时间增量 (秒)
+     */
+    updateEffects(dt) {
+        for (const type in this.effects) {
+            this.effects[type] = Math.max(0, this.effects[type] - dt);
+        }
+
+        // 减速道具优先于对手造成的加速
+        let speedMultiplier = 1;
+        if (this.effects.slow > 0) speedMultiplier = POWER_UPS.slow.speedFactor;
+        else if (this.effects.surge > 0) speedMultiplier = SURGE_SPEED_FACTOR;
+        for (const chain of this.chains) {
+            chain.reversing = this.effects.reverse > 0;
+            chain.speedMultiplier = speedMultiplier;
+        }
+        for (const shooter of this.shooters) shooter.accuracy = this.effects.accuracy > 0;
+    }
+
+    /**
+     * 让球链加速一段时间（双人对战中对手打出大连锁时调用），多次加速的时间累加，最多 MAX_SURGE_TIME 秒
+     * 结束动画播放期间不再加速
+     * @param {number} duration - 加速时间 (秒)
+     */
+    addSurge(duration) {
+        if (!this.isRunning || this.ending) return;
+        this.effects.surge = Math.min(MAX_SURGE_TIME, this.effects.surge + duration);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * 均匀空间网格 (SpatialGrid Class)
+ * 碰撞检测的粗筛阶段：把物体按坐标放入固定大小的格子，
+ * 查询时只返回目标附近格子里的物体，避免与所有物体逐一比较。
+ */
+export class SpatialGrid {
+    /**
+     * 初始化网格
+     * @param {number} cellSize - 格子边长（像素），通常取物体直径左右
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // 格子键 -> 物体数组
+    }
+
+    /**
+     * 计算格子键
+     * @param {number} cx - 格子列号
+     * @param {number} cy - 格子行号
+     * @returns {string}
+     */
+    key(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    /**
+     * 清空网格
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * 将物体放入其坐标所在的格子
+     * @param {Object} item - 物体
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     */
+    insert(item, x, y) {
+        const k = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        const cell = this.cells.get(k);
+        if (cell) {
+            cell.push(item);
+        } else {
+            this.cells.set(k, [item]);
+        }
+    }
+
+    /**
+     * 查询圆形范围附近的候选物体（可能包含范围外的物体，需要再做精确检测）
+     * @param {number} x - 圆心 X 坐标
+     * @param {number} y - 圆心 Y 坐标
+     * @param {number} radius - 查询半径
+     * @returns {Array} 候选物体
+     */
+    query(x, y, radius) {
+        const result = [];
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(this.key(cx, cy));
+                if (cell) {
+                    for (const item of cell) result.push(item);
+                }
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * 存储接口 (Storage)
+ * 存档、排行榜等需要持久化的模块都通过同一个接口读写数据，接口与 Web Storage 相同：
+ * getItem(key) / setItem(key, value) / removeItem(key)，值均为字符串。
+ * 默认使用浏览器的 localStorage，也可以替换为任何实现了这三个方法的对象
+ * （例如测试中使用 MemoryStorage，或将来接入云存储）。
+ */
+
+/**
+ * 内存存储 (MemoryStorage Class)
+ * 页面关闭后数据即丢失；用于 Node、测试，或浏览器禁用 localStorage 时的后备方案。
+ */
+export class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+/**
+ * 获取默认存储：浏览器的 localStorage
+ * 在 Node 中或浏览器禁用存储时（访问会抛出 SecurityError），退回到内存存储
+ * @returns {Storage|MemoryStorage}
+ */
+export function getDefaultStorage() {
+    try {
+        if (globalThis.localStorage) return globalThis.localStorage;
+    } catch (e) {
+        // 忽略，使用内存存储
+    }
+    return new MemoryStorage();
+}
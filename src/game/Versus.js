@@ -0,0 +1,182 @@
+import { Simulation } from './Simulation.js';
+import { EventBus } from './EventBus.js';
+import { Random } from './Random.js';
+
+const SURGE_MIN_COMBO = 2;  // 连锁达到这么多次的消除算作大消除
+const SURGE_MIN_COUNT = 5;  // 一次消除这么多球也算作大消除
+const SURGE_TIME = 2;       // 每次大消除让对手加速的时间 (秒)，乘以连锁次数
+
+/**
+ * 双人对战事件类型 (Versus Events)
+ * 每一方各自的游戏事件仍然由 match.sims[i].events 发布，这里只有对战本身的事件：
+ * - roundStarted {level, seed}：新一回合开始，两边使用同一关卡和同一个种子
+ * - surgeSent    {from, to, duration}：from 打出大消除，to 的球链加速 duration 秒
+ * - roundEnded   {level, winner, reason, scores, wins}：回合结算（决出胜负的一方结束动画播放完毕后）；
+ *                winner 为获胜的玩家编号，平局时为 null；reason 为 'cleared'（胜者清空了球链）
+ *                或 'skull'（败者的球链到达骷髅头）；wins 为双方累计赢下的回合数
+ */
+export const VERSUS_EVENTS = ['roundStarted', 'surgeSent', 'roundEnded'];
+
+/**
+ * 双人对战类 (VersusMatch Class)
+ * 分屏对战：两个玩家各自拥有一个完整的单人模拟（独立的轨道、球链、发射器和计分），
+ * 每回合两边使用相同的关卡和种子，球的颜色序列完全一样。
+ * 一方打出大消除（多次连锁或一次消除很多球）时，对手的球链加速一段时间 (Simulation.addSurge)。
+ * 先清空自己球链的一方获胜；一方的球链到达骷髅头时，另一方获胜。胜负一旦决出，另一边立即停止。
+ * 与 Simulation 一样不依赖 DOM，浏览器中由 Game 负责分屏绘制和输入分配。
+ */
+export class VersusMatch {
+    /**
+     * 初始化对战
+     * @param {number} width - 每一方场景的宽度
+     * @param {number} height - 每一方场景的高度
+     * @param {Object} options - 选项 {seed, difficulty}：指定 seed 时每回合都使用该种子，否则每回合随机生成
+     */
+    constructor(width, height, options = {}) {
+        this.options = options;
+        this.events = new EventBus(VERSUS_EVENTS); // 对战事件总线
+        this.sims = [0, 1].map(() => new Simulation(width, height, { difficulty: options.difficulty }));
+        this.level = 1;       // 当前回合的关卡
+        this.wins = [0, 0];   // 双方赢下的回合数
+        this.result = null;   // 已决出的结果 {winner, reason}；null 表示回合进行中
+
+        this.sims.forEach((sim, player) => {
+            sim.events.on('matchCleared', ({ count, combo }) => this.onMatchCleared(player, count, combo));
+            sim.events.on('levelEnded', () => this.finishRound());
+        });
+    }
+
+    /**
+     * 是否有一方仍在进行中（包括结束动画）
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.sims.some(sim => sim.isRunning);
+    }
+
+    /**
+     * 是否暂停（两边总是同时暂停）
+     * @returns {boolean}
+     */
+    get isPaused() {
+        return this.sims[0].isPaused;
+    }
+
+    /**
+     * 设置难度，从下一回合开始生效
+     * @param {string} name - 难度名称 ('easy' | 'normal' | 'hard')
+     */
+    setDifficulty(name) {
+        for (const sim of this.sims) sim.setDifficulty(name);
+    }
+
+    /**
+     * 开始新的对战（清空比分），从第一关开始
+     */
+    start() {
+        this.wins = [0, 0];
+        this.startRound(1);
+    }
+
+    /**
+     * 进入下一回合（下一关）
+     */
+    nextRound() {
+        this.startRound(this.level + 1);
+    }
+
+    /**
+     * 开始一个回合：两边用同一关卡和同一个种子开始
+     * @param {number} level - 关卡编号
+     */
+    startRound(level) {
+        const seed = this.options.seed !== undefined ? this.options.seed : Random.createSeed();
+        this.level = level;
+        this.result = null;
+        for (const sim of this.sims) sim.start(level, seed);
+        this.events.emit('roundStarted', { level, seed: this.sims[0].seed });
+    }
+
+    /**
+     * 切换暂停状态（两边一起）
+     */
+    togglePause() {
+        if (this.result) return;
+        for (const sim of this.sims) sim.togglePause();
+    }
+
+    /**
+     * 把玩家操作交给该玩家的模拟
+     * @param {number} player - 玩家编号 (0 或 1)
+     * @param {Object} action - 操作对象（见 Simulation.applyInput）
+     */
+    applyInput(player, action) {
+        if (action.type === 'pause') {
+            this.togglePause();
+            return;
+        }
+        this.sims[player].applyInput({ ...action, player: 0 });
+    }
+
+    /**
+     * 推进两边的模拟，并在任意一方开始结束动画时决出胜负
+     * @param {number} dt - 经过的真实时间 (秒)
+     */
+    step(dt) {
+        for (const sim of this.sims) sim.step(dt);
+        if (this.result) return;
+
+        const ended = this.sims.map(sim => sim.ending && sim.ending.type);
+        if (!ended[0] && !ended[1]) return;
+
+        // 同一帧内双方都结束时：清空的一方胜过到达骷髅头的一方，结果相同则为平局
+        let winner;
+        if (ended[0] && ended[1]) {
+            winner = ended[0] === ended[1] ? null : (ended[0] === 'won' ? 0 : 1);
+        } else {
+            const player = ended[0] ? 0 : 1;
+            winner = ended[player] === 'won' ? player : 1 - player;
+        }
+        const decider = ended[0] ? 0 : 1;
+        this.result = { winner, reason: ended[decider] === 'won' ? 'cleared' : 'skull' };
+
+        // 另一边立即停止（只继续播放剩余的特效）
+        this.sims.forEach((sim, player) => {
+            if (!ended[player]) {
+                sim.isRunning = false;
+                sim.projectiles = [];
+            }
+        });
+        // 结束动画可能在这一次 step 内就已播放完毕
+        this.finishRound();
+    }
+
+    /**
+     * 一方消除了一组球：大消除时让对手的球链加速
+     * @param {number} player - 消除的一方
+     * @param {number} count - 消除的球数
+     * @param {number} combo - 连锁次数
+     */
+    onMatchCleared(player, count, combo) {
+        if (this.result || (combo < SURGE_MIN_COMBO && count < SURGE_MIN_COUNT)) return;
+        const duration = SURGE_TIME * combo;
+        this.sims[1 - player].addSurge(duration);
+        this.events.emit('surgeSent', { from: player, to: 1 - player, duration });
+    }
+
+    /**
+     * 决出胜负的一方结束动画播放完毕后结算回合
+     */
+    finishRound() {
+        if (!this.result || this.isRunning) return;
+        const { winner, reason } = this.result;
+        if (winner !== null) this.wins[winner]++;
+        this.events.emit('roundEnded', {
+            level: this.level,
+            winner,
+            reason,
+            scores: this.sims.map(sim => sim.score),
+            wins: [...this.wins]
+        });
+    }
+}
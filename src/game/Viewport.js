@@ -0,0 +1,62 @@
+/**
+ * 逻辑世界尺寸：所有玩法坐标（路径、球、发射器、弹射物）都在这个固定大小的空间中，与屏幕分辨率无关
+ */
+export const WORLD_WIDTH = 1280;
+export const WORLD_HEIGHT = 720;
+
+/**
+ * 视口类 (Viewport Class)
+ * 负责逻辑世界与屏幕之间的映射：把世界按比例缩放到可用区域的正中，
+ * 宽高比不一致时在两侧或上下留出黑边 (letterbox)。
+ * 画布的实际像素尺寸还要乘以 devicePixelRatio，保证高分屏上的画面清晰。
+ */
+export class Viewport {
+    /**
+     * 初始化视口
+     * @param {number} width - 世界宽度
+     * @param {number} height - 世界高度
+     */
+    constructor(width = WORLD_WIDTH, height = WORLD_HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.scale = 1;   // 世界坐标 -> CSS 像素的缩放比例
+        this.offsetX = 0; // 世界区域左上角在画布中的位置 (CSS 像素)
+        this.offsetY = 0;
+        this.pixelRatio = 1; // 设备像素比
+    }
+
+    /**
+     * 根据画布的显示尺寸重新计算缩放和黑边
+     * @param {number} cssWidth - 画布显示宽度 (CSS 像素)
+     * @param {number} cssHeight - 画布显示高度 (CSS 像素)
+     * @param {number} pixelRatio - 设备像素比 (window.devicePixelRatio)
+     */
+    resize(cssWidth, cssHeight, pixelRatio = 1) {
+        this.scale = Math.min(cssWidth / this.width, cssHeight / this.height);
+        this.offsetX = (cssWidth - this.width * this.scale) / 2;
+        this.offsetY = (cssHeight - this.height * this.scale) / 2;
+        this.pixelRatio = pixelRatio;
+    }
+
+    /**
+     * 将画布上的点 (CSS 像素) 转换为世界坐标
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @returns {Object} {x, y}
+     */
+    toWorld(x, y) {
+        return {
+            x: (x - this.offsetX) / this.scale,
+            y: (y - this.offsetY) / this.scale
+        };
+    }
+
+    /**
+     * 世界坐标到画布像素的变换矩阵，可直接传给 ctx.setTransform
+     * @returns {Array<number>} [a, b, c, d, e, f]
+     */
+    getTransform() {
+        const s = this.scale * this.pixelRatio;
+        return [s, 0, 0, s, this.offsetX * this.pixelRatio, this.offsetY * this.pixelRatio];
+    }
+}
@@ -1,5 +1,12 @@
 import './style.css'
-import { Game } from './game/Game.js'
+import { Game, GAME_MODES } from './game/Game.js'
+import { SaveGame } from './game/SaveGame.js'
+import { HighScores } from './game/HighScores.js'
+import { AudioManager } from './game/Audio.js'
+import { LevelEditor } from './game/LevelEditor.js'
+import { LevelLoader } from './game/LevelLoader.js'
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, getDifficulty } from './game/Difficulty.js'
+import { getDefaultStorage } from './game/Storage.js'
 
 // ==========================================
 // 1. 获取 DOM 元素 (Get DOM Elements)
@@ -9,88 +16,726 @@ const canvas = document.getElementById('gameCanvas');
 
 // 获取各个 UI 按钮元素
 const startBtn = document.getElementById('start-btn');         // 开始游戏按钮
+const continueBtn = document.getElementById('continue-btn');   // 继续游戏按钮（有存档时显示）
 const restartBtn = document.getElementById('restart-btn');     // 重新开始按钮
 const nextLevelBtn = document.getElementById('next-level-btn');// 下一关按钮
+const controlsBtn = document.getElementById('controls-btn');   // 键位设置按钮
+const pauseBtn = document.getElementById('pause-btn');         // HUD 暂停按钮（触屏）
+const muteBtn = document.getElementById('mute-btn');           // HUD 静音按钮
+const editorBtn = document.getElementById('editor-btn');       // 关卡编辑器按钮
+const quitTestBtn = document.getElementById('quit-test-btn');  // 试玩时暂停界面上的"返回编辑器"按钮
+const nextRoundBtn = document.getElementById('next-round-btn'); // 对战结算界面的"下一回合"按钮
+const menuBtn = document.getElementById('menu-btn');           // 对战结算界面的"返回菜单"按钮
 
 // 获取各个 UI 屏幕/层元素，用于控制游戏的显示状态
 const startScreen = document.getElementById('start-screen');       // 开始界面
 const gameOverScreen = document.getElementById('game-over-screen');// 游戏结束界面
 const victoryScreen = document.getElementById('victory-screen');   // 胜利界面
+const winnerScreen = document.getElementById('winner-screen');     // 双人对战结算界面
 const countdownScreen = document.getElementById('countdown-screen');// 倒计时界面
 const countdownNumber = document.getElementById('countdown-number');// 倒计时数字显示
 const pauseScreen = document.getElementById('pause-screen');       // 暂停界面
+const controlsScreen = document.getElementById('controls-screen'); // 键位设置界面
+const editorPanel = document.getElementById('editor-panel');       // 关卡编辑面板
+const comboDisplay = document.getElementById('combo-display');     // 连锁提示
+const surgeDisplay = document.getElementById('surge-display');     // 对战中的加速提示
+const playerScores = document.getElementById('player-scores');     // 双人游戏时每个玩家的得分
+const dangerWarning = document.getElementById('danger-warning');   // 危险警告
+const nameEntry = document.getElementById('name-entry');           // 排行榜署名表单
+const playerNameInput = document.getElementById('player-name');    // 署名输入框
+const difficultySelect = document.getElementById('difficulty-select'); // 开始界面的难度选择
+const modeSelect = document.getElementById('mode-select');             // 开始界面的模式选择（单人、合作、对战）
 
 // ==========================================
-// 2. 画布尺寸管理 (Canvas Resizing)
+// 2. 游戏实例初始化 (Game Initialization)
+// ==========================================
+// 进行中的对局存档（暂停或切换到后台时自动保存）
+const saveGame = new SaveGame();
+// 本地排行榜和每关统计
+const highScores = new HighScores();
+// 等待署名的排行榜成绩（游戏结束且得分可以上榜时）
+let pendingEntry = null;
+// 合成音效和背景音乐（第一次点击开始按钮时解锁）
+const audio = new AudioManager();
+// 是否正在试玩编辑器中的关卡（试玩时不存档、不记录成绩，结束后回到编辑器）
+let testing = false;
+
+// 开始界面上选择的难度，保存在本地存储中，下次打开页面时沿用
+const DIFFICULTY_KEY = 'zuma-odyssey.difficulty';
+const preferences = getDefaultStorage();
+let difficulty = DEFAULT_DIFFICULTY;
+try {
+  const saved = preferences.getItem(DIFFICULTY_KEY);
+  if (DIFFICULTIES[saved]) difficulty = saved;
+} catch (e) {
+  console.warn('Ignoring unreadable difficulty setting:', e);
+}
+
+// 开始界面上选择的游戏模式，同样保存在本地存储中
+const MODE_KEY = 'zuma-odyssey.mode';
+let mode = 'single';
+try {
+  const saved = preferences.getItem(MODE_KEY);
+  if (GAME_MODES.includes(saved)) mode = saved;
+} catch (e) {
+  console.warn('Ignoring unreadable mode setting:', e);
+}
+
+// 可通过 URL 参数指定随机种子（例如 ?seed=12345），用于复现问题或对比平衡性调整
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+
+// 创建游戏实例
+const game = new Game(canvas, {
+  seed: seedParam !== null ? seedParam : undefined,
+  difficulty
+});
+
+// 订阅游戏事件，更新 UI 并播放音效（事件类型和数据见 game/EventBus.js）
+// 关卡结算：失败时显示游戏结束界面，胜利时显示胜利界面
+game.events.on('levelEnded', ({ won, score, playerScores, seed, stats }) => {
+  // 失败后存档不再有效；过关后保存进度，关闭页面后仍可从下一关继续
+  if (won && !testing) {
+    saveGame.save(game.sim);
+  } else {
+    saveGame.clear();
+  }
+  setDanger(false);
+  if (won) {
+    showVictory(stats, playerScores);
+  } else {
+    showGameOver(score, seed, stats, playerScores);
+  }
+});
+// 当得分更新时，更新 HUD 上的分数显示（合作时还有每个玩家自己的得分）
+game.events.on('scoreChanged', ({ score, playerScores }) => {
+  document.getElementById('score').textContent = score;
+  playerScores.forEach((points, i) => showPlayerScore(i, points));
+});
+// 当关卡开始时，更新 HUD 上的关卡显示
+game.events.on('levelStarted', ({ level }) => {
+  document.getElementById('level').textContent = level;
+});
+// 球链接近或离开骷髅头时开始/停止警报
+game.events.on('dangerChanged', ({ inDanger }) => setDanger(inDanger));
+// 当暂停状态切换时触发
+game.events.on('pauseChanged', ({ paused }) => showPaused(paused));
+bindEffects(game.events);
+
+// 双人对战：两边各自的模拟发布各自的游戏事件，对战本身的事件（加速、回合结算）由 game.versus.events 发布
+game.versus.sims.forEach((sim, i) => {
+  sim.events.on('scoreChanged', ({ score }) => showPlayerScore(i, score));
+  sim.events.on('dangerChanged', () => setDanger(game.versus.sims.some(s => s.inDanger)));
+  bindEffects(sim.events);
+});
+// 两边总是同时暂停，只需订阅一边
+game.versus.sims[0].events.on('pauseChanged', ({ paused }) => showPaused(paused));
+game.versus.events.on('roundStarted', ({ level }) => {
+  document.getElementById('level').textContent = level;
+});
+game.versus.events.on('surgeSent', ({ to }) => showSurge(to));
+game.versus.events.on('roundEnded', (result) => showWinner(result));
+
+/**
+ * 订阅一个模拟的连锁提示和音效：发射、球插入球链、消除和收集奖励时播放音效，
+ * 同一次射击引发连锁消除时显示 "COMBO xN"
+ * @param {EventBus} events - 模拟的事件总线
+ */
+function bindEffects(events) {
+  events.on('comboChained', ({ combo }) => showCombo(combo));
+  events.on('shotFired', () => audio.playShoot());
+  events.on('ballInserted', () => audio.playInsert());
+  events.on('matchCleared', ({ count, combo }) => audio.playMatch(count, combo));
+  events.on('pickupCollected', () => audio.playPickup());
+}
+
+/**
+ * 显示或隐藏暂停界面；单人和合作对局暂停时自动保存（对战不保存）
+ * @param {boolean} paused - 是否暂停
+ */
+function showPaused(paused) {
+  if (paused) {
+    pauseScreen.classList.remove('hidden');
+    if (!testing && game.mode !== 'versus') saveGame.save(game.sim);
+  } else {
+    pauseScreen.classList.add('hidden');
+  }
+  quitTestBtn.classList.toggle('gone', !testing);
+  audio.setSuspended(paused);
+}
+
+/**
+ * 更新 HUD 上某个玩家的得分
+ * @param {number} player - 玩家编号
+ * @param {number} score - 得分
+ */
+function showPlayerScore(player, score) {
+  const el = document.getElementById(`p${player + 1}-score`);
+  if (el) el.textContent = score;
+}
+
+/**
+ * 按当前模式切换 HUD：双人时显示每个玩家的得分，对战时两边各自计分，不显示总分
+ * 显示的是当前对局中的得分（从存档恢复的合作对局保留每个玩家的得分）
+ */
+function showHud() {
+  playerScores.classList.toggle('gone', game.mode === 'single');
+  document.getElementById('score-board').classList.toggle('gone', game.mode === 'versus');
+  const scores = game.mode === 'versus' ? game.versus.sims.map(sim => sim.score) : game.sim.playerScores;
+  scores.forEach((score, i) => showPlayerScore(i, score));
+}
+
+/**
+ * 把每个玩家的得分格式化为 "P1 1200 · P2 900"
+ * @param {Array<number>} scores - 每个玩家的得分
+ * @returns {string}
+ */
+function formatPlayerScores(scores) {
+  return scores.map((score, i) => `P${i + 1} ${score}`).join(' · ');
+}
+
+/**
+ * 游戏失败：显示最终得分、本关统计和排行榜，得分可以上榜时显示署名表单
+ * 双人合作的成绩不进入排行榜和每关统计，只显示每个玩家的得分
+ * @param {number} score - 最终得分
+ * @param {number} seed - 本局的随机种子
+ * @param {Object} stats - 本关统计 (Simulation.getLevelStats)
+ * @param {Array<number>} scores - 每个玩家的得分
+ */
+function showGameOver(score, seed, stats, scores) {
+  audio.playGameOver();
+  if (testing) {
+    finishTest('Test run failed: the chain reached the skull.');
+    return;
+  }
+  const coop = scores.length > 1;
+  // 更新最终得分和随机种子显示
+  document.getElementById('final-score-display').textContent = coop
+    ? `Score: ${score} (${formatPlayerScores(scores)})`
+    : `Score: ${score}`;
+  document.getElementById('seed-display').textContent = `Seed: ${seed}`;
+  const best = coop ? highScores.getLevelStats(stats.level) : highScores.recordLevel(stats.level, stats, false);
+  showLevelStats('game-over-stats', stats, best);
+  // 得分可以上榜时显示署名表单，提交后才写入排行榜
+  if (!coop && highScores.qualifies(score)) {
+    pendingEntry = { score, level: stats.level, seed, difficulty: game.sim.difficulty };
+    playerNameInput.value = highScores.getLastName();
+    nameEntry.classList.remove('gone');
+    setTimeout(() => playerNameInput.focus(), 0);
+  } else {
+    pendingEntry = null;
+    nameEntry.classList.add('gone');
+  }
+  showLeaderboard(-1);
+  // 显示游戏结束界面
+  gameOverScreen.classList.remove('hidden');
+}
+
+/**
+ * 关卡胜利：显示本关统计和胜利界面，双人合作时还显示每个玩家的得分
+ * @param {Object} stats - 本关统计 (Simulation.getLevelStats)
+ * @param {Array<number>} scores - 每个玩家的得分
+ */
+function showVictory(stats, scores) {
+  audio.playVictory();
+  if (testing) {
+    finishTest('Test run cleared!');
+    return;
+  }
+  const coop = scores.length > 1;
+  const players = document.getElementById('victory-players');
+  players.textContent = formatPlayerScores(scores);
+  players.classList.toggle('gone', !coop);
+  const best = coop ? highScores.getLevelStats(stats.level) : highScores.recordLevel(stats.level, stats, true);
+  showLevelStats('victory-stats', stats, best);
+  // 显示胜利界面
+  victoryScreen.classList.remove('hidden');
+}
+
+/**
+ * 双人对战回合结算：显示胜者、决出胜负的原因、双方得分和比分
+ * @param {Object} result - VersusMatch 的 roundEnded 事件数据 {level, winner, reason, scores, wins}
+ */
+function showWinner({ level, winner, reason, scores, wins }) {
+  setDanger(false);
+  audio.playVictory();
+  document.getElementById('winner-title').textContent = winner === null ? 'DRAW' : `PLAYER ${winner + 1} WINS`;
+  let detail = 'Both chains ended at the same moment!';
+  if (winner !== null) {
+    detail = reason === 'cleared'
+      ? `Player ${winner + 1} cleared the chain first!`
+      : `Player ${2 - winner}'s chain reached the skull!`;
+  }
+  document.getElementById('winner-reason').textContent = detail;
+
+  const list = document.getElementById('winner-stats');
+  list.replaceChildren();
+  const rows = [['LEVEL', level], ['P1 SCORE', scores[0]], ['P2 SCORE', scores[1]], ['P1 WINS', wins[0]], ['P2 WINS', wins[1]]];
+  for (const [label, value] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    list.append(dt, dd);
+  }
+  winnerScreen.classList.remove('hidden');
+}
+
+/**
+ * 开始/停止危险警告：HUD 上闪烁的 "DANGER" 提示和警报音效
+ * @param {boolean} inDanger - 是否有球链接近骷髅头
+ */
+function setDanger(inDanger) {
+  dangerWarning.classList.toggle('hidden', !inDanger);
+  audio.setDanger(inDanger);
+}
+
+/**
+ * 在 HUD 上显示连锁提示 "COMBO xN"，一段时间后自动隐藏
+ * @param {number} combo - 连锁次数
+ */
+let comboTimeout = null;
+function showCombo(combo) {
+  document.getElementById('combo-count').textContent = combo;
+  // 通过移除并重新添加类名来重置动画
+  comboDisplay.classList.remove('hidden', 'combo-pop');
+  void comboDisplay.offsetWidth; // 强制重排，确保动画重新播放
+  comboDisplay.classList.add('combo-pop');
+
+  clearTimeout(comboTimeout);
+  comboTimeout = setTimeout(() => comboDisplay.classList.add('hidden'), 1200);
+}
+
+/**
+ * 对战中一方被对手加速时显示 "SURGE ▶ Pn"，一段时间后自动隐藏
+ * @param {number} player - 被加速的玩家编号
+ */
+let surgeTimeout = null;
+function showSurge(player) {
+  document.getElementById('surge-target').textContent = player + 1;
+  surgeDisplay.classList.remove('hidden');
+  clearTimeout(surgeTimeout);
+  surgeTimeout = setTimeout(() => surgeDisplay.classList.add('hidden'), 1500);
+}
+
+/**
+ * 将秒数格式化为 m:ss
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 在结算界面显示本关统计，以及该关的历史最佳
+ * @param {string} id - 统计列表 (dl) 元素的 ID
+ * @param {Object} run - 本关统计 (Simulation.getLevelStats)
+ * @param {Object} best - 该关的历史统计 (HighScores.getLevelStats)
+ */
+function showLevelStats(id, run, best) {
+  const accuracy = (hits, shots) => shots > 0 ? `${Math.round(hits / shots * 100)}%` : '-';
+  const rows = [
+    ['SCORE', run.score, best.bestScore],
+    ['TIME', formatTime(run.time), best.fastestClear !== null ? formatTime(best.fastestClear) : '-'],
+    ['SHOTS', run.shotsFired, best.shotsFired],
+    ['ACCURACY', accuracy(run.shotsHit, run.shotsFired), accuracy(best.shotsHit, best.shotsFired)],
+    ['BEST MATCH', run.largestMatch, best.largestMatch]
+  ];
+  const list = document.getElementById(id);
+  list.replaceChildren();
+  for (const [label, value, record] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    // 历史记录：最高分、最快通关、累计射击数、累计准确率、最大消除
+    const recordDd = document.createElement('dd');
+    recordDd.className = 'best';
+    recordDd.textContent = `${label === 'SHOTS' ? 'total' : 'best'} ${record}`;
+    list.append(dt, dd, recordDd);
+  }
+}
+
+/**
+ * 在游戏结束界面显示排行榜
+ * @param {number} highlight - 需要高亮的名次索引（刚提交的成绩），-1 表示不高亮
+ */
+function showLeaderboard(highlight) {
+  const table = document.getElementById('leaderboard');
+  table.replaceChildren();
+  const entries = highScores.getLeaderboard();
+  if (entries.length === 0) return;
+
+  const header = table.insertRow();
+  for (const title of ['#', 'NAME', 'SCORE', 'LEVEL', 'MODE', 'DATE', 'SEED']) {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  }
+  entries.forEach((entry, i) => {
+    const row = table.insertRow();
+    if (i === highlight) row.className = 'current';
+    const cells = [
+      [i + 1, 'num'],
+      [entry.name, ''],
+      [entry.score, 'num'],
+      [entry.level, 'num'],
+      [getDifficulty(entry.difficulty).label, ''],
+      [new Date(entry.date).toLocaleDateString(), ''],
+      [entry.seed, 'num']
+    ];
+    for (const [text, className] of cells) {
+      const td = row.insertCell();
+      td.textContent = text;
+      td.className = className;
+    }
+  });
+}
+
+// ==========================================
+// 3. 画布尺寸管理 (Canvas Resizing)
 // ==========================================
 /**
  * 调整画布大小以适应全屏
- * 每次窗口大小改变时都会调用此函数，确保游戏画面充满整个屏幕
+ * 游戏世界的大小固定，按窗口大小等比缩放并居中（留黑边）；画布像素按设备像素比放大，高分屏上保持清晰
  */
 function resizeCanvas() {
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
+  game.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+  if (editor.active) editor.draw();
 }
 
-// 监听窗口大小改变事件，自动调整画布
+// 监听窗口大小改变事件（浏览器缩放也会改变设备像素比并触发该事件），自动调整画布
 window.addEventListener('resize', resizeCanvas);
-// 初始化时先调用一次，设置初始大小
-resizeCanvas();
 
 // ==========================================
-// 3. 游戏实例初始化 (Game Initialization)
+// 4. 关卡编辑器 (Level Editor)
 // ==========================================
-// 创建游戏实例，传入画布和一系列回调函数
-// 这些回调函数允许 Game 类在特定事件发生时通知 UI 层进行更新
-const game = new Game(canvas, {
-  // 当游戏结束时触发（失败）
-  onGameOver: (score) => {
-    // 更新最终得分显示
-    document.getElementById('final-score-display').textContent = `Score: ${score}`;
-    // 显示游戏结束界面
-    gameOverScreen.classList.remove('hidden');
-  },
-  // 当游戏胜利时触发（通关）
-  onVictory: () => {
-    // 显示胜利界面
-    victoryScreen.classList.remove('hidden');
-  },
-  // 当得分更新时触发
-  onScoreUpdate: (score) => {
-    // 更新 HUD 上的分数显示
-    document.getElementById('score').textContent = score;
-  },
-  // 当关卡更新时触发
-  onLevelUpdate: (level) => {
-    // 更新 HUD 上的关卡显示
-    document.getElementById('level').textContent = level;
-  },
-  // 当暂停状态切换时触发
-  onPauseToggle: (isPaused) => {
-    if (isPaused) {
-      // 如果暂停，显示暂停界面
-      pauseScreen.classList.remove('hidden');
-    } else {
-      // 如果恢复，隐藏暂停界面
-      pauseScreen.classList.add('hidden');
-    }
+// 编辑器在游戏画布上绘制预览，编辑面板中的表单与编辑器中的关卡数据保持同步
+const editor = new LevelEditor(game, { onChange: showEditorPanel });
+const editorStatus = document.getElementById('editor-status');
+
+/**
+ * 设置输入框的值；正在输入的输入框不覆盖，避免打断输入
+ * @param {string} id - 元素 ID
+ * @param {*} value - 值
+ */
+function setField(id, value) {
+  const el = document.getElementById(id);
+  if (document.activeElement !== el) el.value = value;
+}
+
+/**
+ * 根据编辑器中的关卡刷新编辑面板
+ */
+function showEditorPanel() {
+  const level = editor.level;
+  setField('editor-name', level.name || '');
+  setField('editor-path-type', editor.track.path.type);
+  setField('editor-ball-count', editor.track.ballCount);
+  setField('editor-speed', level.speed);
+
+  const trackSelect = document.getElementById('editor-track');
+  trackSelect.replaceChildren(...level.tracks.map((_, i) => new Option(`Track ${i + 1}`, i)));
+  trackSelect.value = editor.trackIndex;
+
+  const palette = document.getElementById('editor-palette');
+  palette.replaceChildren(...level.palette.map((color, i) => {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = color;
+    input.addEventListener('change', () => {
+      const colors = [...editor.level.palette];
+      colors[i] = input.value;
+      editor.setProperty('palette', colors);
+    });
+    return input;
+  }));
+
+  const list = document.getElementById('editor-warnings');
+  list.replaceChildren();
+  for (const warning of editor.warnings) {
+    const li = document.createElement('li');
+    li.textContent = `⚠ ${warning.message}`;
+    list.appendChild(li);
+  }
+  if (editor.warnings.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'ok';
+    li.textContent = 'No problems found';
+    list.appendChild(li);
+  }
+}
+
+/**
+ * 打开编辑器
+ * @param {string} status - 显示在编辑面板上的状态信息
+ */
+function openEditor(status = '') {
+  editorStatus.textContent = status;
+  editorPanel.classList.remove('gone');
+  editor.open();
+}
+
+/**
+ * 试玩结束：稍等片刻让结束特效播放完，再回到编辑器
+ * @param {string} message - 试玩结果
+ */
+function finishTest(message) {
+  setTimeout(() => {
+    testing = false;
+    game.stop();
+    openEditor(message);
+  }, 1500);
+}
+
+document.getElementById('editor-name').addEventListener('input', (e) => editor.setProperty('name', e.target.value));
+document.getElementById('editor-track').addEventListener('change', (e) => editor.selectTrack(Number(e.target.value)));
+document.getElementById('editor-add-track').addEventListener('click', () => editor.addTrack());
+document.getElementById('editor-remove-track').addEventListener('click', () => editor.removeTrack());
+document.getElementById('editor-path-type').addEventListener('change', (e) => editor.setPathType(e.target.value));
+document.getElementById('editor-ball-count').addEventListener('change', (e) => editor.setBallCount(Number(e.target.value)));
+document.getElementById('editor-speed').addEventListener('change', (e) => editor.setProperty('speed', Number(e.target.value)));
+document.getElementById('editor-add-color').addEventListener('click', () => {
+  // 新颜色随机生成，玩家可以再用取色器修改
+  const color = `#${Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0')}`;
+  editor.setProperty('palette', [...editor.level.palette, color]);
+});
+document.getElementById('editor-remove-color').addEventListener('click', () => {
+  if (editor.level.palette.length > 1) editor.setProperty('palette', editor.level.palette.slice(0, -1));
+});
+
+// 试玩：关卡数据不合法时不开始
+document.getElementById('editor-test').addEventListener('click', () => {
+  const level = editor.getLevel();
+  try {
+    LevelLoader.validate(level, 1);
+  } catch (e) {
+    editorStatus.textContent = e.message;
+    return;
+  }
+  audio.unlock();
+  editor.close();
+  editorPanel.classList.add('gone');
+  testing = true;
+  startCountdown(() => game.testLevel(level));
+});
+
+// 导出：下载 JSON 文件
+document.getElementById('editor-export').addEventListener('click', () => {
+  const blob = new Blob([editor.exportJSON()], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${(editor.level.name || 'level').replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  editorStatus.textContent = 'Exported.';
+});
+
+// 导入：读取本地 JSON 文件
+const editorFile = document.getElementById('editor-file');
+document.getElementById('editor-import').addEventListener('click', () => editorFile.click());
+editorFile.addEventListener('change', async () => {
+  const file = editorFile.files[0];
+  editorFile.value = ''; // 允许再次选择同一个文件
+  if (!file) return;
+  try {
+    editor.importJSON(await file.text());
+    editorStatus.textContent = `Imported ${file.name}.`;
+  } catch (e) {
+    editorStatus.textContent = `Import failed: ${e.message}`;
   }
 });
 
+document.getElementById('editor-exit').addEventListener('click', () => {
+  editor.close();
+  editorPanel.classList.add('gone');
+  startScreen.classList.remove('hidden');
+  game.startDemo();
+});
+
+editorBtn.addEventListener('click', () => {
+  startScreen.classList.add('hidden');
+  game.stopDemo();
+  openEditor();
+});
+
+// 试玩时从暂停界面直接返回编辑器
+quitTestBtn.addEventListener('click', (e) => {
+  e.stopPropagation(); // 不触发暂停界面的"轻点继续"
+  testing = false;
+  pauseScreen.classList.add('hidden');
+  setDanger(false);
+  audio.setSuspended(false);
+  game.stop();
+  openEditor('Test run stopped.');
+});
+
+// 初始化时先调用一次，设置初始大小
+resizeCanvas();
+// 开始界面背后由自动玩家演示
+game.startDemo();
+
 // ==========================================
-// 4. 全局输入控制 (Input Handling)
+// 5. 全局输入控制 (Input Handling)
 // ==========================================
-// 监听键盘按键事件，用于处理暂停功能
-window.addEventListener('keydown', (e) => {
-  // 如果按下空格键
-  if (e.code === 'Space') {
-    e.preventDefault(); // 防止空格键导致页面滚动
-    game.togglePause(); // 切换游戏的暂停/继续状态
+// 鼠标、触摸、键盘和手柄输入由 Game 内部的 InputManager 处理，这里只处理界面上的输入
+
+// 触屏设备没有键盘：HUD 上的暂停按钮和轻点暂停界面都可以切换暂停
+pauseBtn.addEventListener('click', () => game.togglePause());
+pauseScreen.addEventListener('click', () => game.togglePause());
+
+// 键位设置界面中每个操作的显示名称
+const ACTION_LABELS = {
+  rotateLeft: 'ROTATE LEFT',
+  rotateRight: 'ROTATE RIGHT',
+  moveLeft: 'MOVE LEFT',
+  moveRight: 'MOVE RIGHT',
+  fire: 'FIRE',
+  swap: 'SWAP',
+  pause: 'PAUSE'
+};
+
+/**
+ * 将按键代码转换为便于阅读的名称，例如 KeyA -> A，ArrowLeft -> ←
+ * @param {string} code - 按键代码 (KeyboardEvent.code)
+ * @returns {string}
+ */
+function keyLabel(code) {
+  const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+  if (arrows[code]) return arrows[code];
+  return code.replace(/^(Key|Digit)/, '').toUpperCase();
+}
+
+/**
+ * 刷新键位设置列表和暂停界面上的按键提示
+ */
+function showBindings() {
+  const bindings = game.input.getBindings();
+  const list = document.getElementById('bindings-list');
+  list.replaceChildren();
+  for (const action in ACTION_LABELS) {
+    const label = document.createElement('span');
+    label.textContent = ACTION_LABELS[action];
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = bindings[action].map(keyLabel).join(' / ') || '-';
+    button.addEventListener('click', () => waitForKey(action, button));
+    list.append(label, button);
+  }
+  document.getElementById('pause-key').textContent = keyLabel(bindings.pause[0] || 'Space');
+}
+
+/**
+ * 等待玩家按下一个键，并把它绑定到指定操作
+ * @param {string} action - 操作名
+ * @param {HTMLButtonElement} button - 被点击的键位按钮
+ */
+function waitForKey(action, button) {
+  button.textContent = 'PRESS A KEY';
+  // 在捕获阶段拦截这次按键，避免它同时触发游戏操作
+  window.addEventListener('keydown', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    game.input.rebind(action, e.code);
+    showBindings();
+  }, { capture: true, once: true });
+}
+
+/**
+ * 同步音量滑块、静音选项和 HUD 静音按钮的显示
+ */
+function showAudioSettings() {
+  const settings = audio.getSettings();
+  for (const channel of ['master', 'sfx', 'music']) {
+    document.getElementById(`volume-${channel}`).value = Math.round(settings[channel] * 100);
+  }
+  document.getElementById('mute-toggle').checked = settings.muted;
+  muteBtn.textContent = settings.muted ? '🔇' : '🔊';
+}
+
+for (const channel of ['master', 'sfx', 'music']) {
+  document.getElementById(`volume-${channel}`).addEventListener('input', (e) => {
+    audio.setVolume(channel, e.target.value / 100);
+  });
+}
+document.getElementById('mute-toggle').addEventListener('change', (e) => {
+  audio.setMuted(e.target.checked);
+  showAudioSettings();
+});
+muteBtn.addEventListener('click', () => {
+  audio.setMuted(!audio.getSettings().muted);
+  showAudioSettings();
+});
+showAudioSettings();
+
+controlsBtn.addEventListener('click', () => {
+  showBindings();
+  controlsScreen.classList.remove('hidden');
+});
+document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+  game.input.resetBindings();
+  showBindings();
+});
+document.getElementById('controls-back-btn').addEventListener('click', () => {
+  controlsScreen.classList.add('hidden');
+});
+showBindings();
+
+// 难度选择：新游戏使用选中的难度（继续游戏时沿用存档中的难度）
+/**
+ * 高亮当前选中的难度按钮
+ */
+function showDifficulty() {
+  for (const button of difficultySelect.querySelectorAll('button')) {
+    button.classList.toggle('selected', button.dataset.difficulty === difficulty);
+  }
+}
+difficultySelect.addEventListener('click', (e) => {
+  const name = e.target.dataset && e.target.dataset.difficulty;
+  if (!DIFFICULTIES[name]) return;
+  difficulty = name;
+  game.setDifficulty(name);
+  try {
+    preferences.setItem(DIFFICULTY_KEY, name);
+  } catch (err) {
+    console.warn('Failed to save difficulty setting:', err);
+  }
+  showDifficulty();
+});
+showDifficulty();
+
+// 模式选择：单人、双人合作（共用球链）或双人对战（分屏）
+/**
+ * 高亮当前选中的模式按钮
+ */
+function showMode() {
+  for (const button of modeSelect.querySelectorAll('button')) {
+    button.classList.toggle('selected', button.dataset.mode === mode);
+  }
+}
+modeSelect.addEventListener('click', (e) => {
+  const name = e.target.dataset && e.target.dataset.mode;
+  if (!GAME_MODES.includes(name)) return;
+  mode = name;
+  try {
+    preferences.setItem(MODE_KEY, name);
+  } catch (err) {
+    console.warn('Failed to save mode setting:', err);
+  }
+  showMode();
+});
+showMode();
+
+// 页面切换到后台（切换标签页、关闭或刷新页面）时自动暂停，暂停时会自动保存
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden && game.session.isRunning && !game.session.isPaused) {
+    game.togglePause();
   }
 });
 
 // ==========================================
-// 5. 倒计时逻辑 (Countdown Logic)
+// 6. 倒计时逻辑 (Countdown Logic)
 // ==========================================
 /**
  * 开始倒计时，倒计时结束后执行回调函数
@@ -128,14 +773,55 @@ function startCountdown(callback) {
 }
 
 // ==========================================
-// 6. 按钮事件绑定 (Button Event Listeners)
+// 7. 按钮事件绑定 (Button Event Listeners)
 // ==========================================
 // 开始按钮点击事件
 startBtn.addEventListener('click', () => {
+  audio.unlock();   // 浏览器只允许在用户点击后播放声音
+  if (mode !== 'versus') saveGame.clear(); // 开始新游戏，放弃旧存档（对战不存档，保留旧存档）
+  game.setMode(mode);
+  game.setDifficulty(difficulty); // 继续旧存档可能改变了难度
+  showHud();
+  game.stopDemo();
   startScreen.classList.add('hidden'); // 隐藏开始界面
   startCountdown(() => game.start());  // 开始倒计时，结束后启动游戏
 });
 
+// 继续游戏按钮点击事件：读取存档并恢复对局
+continueBtn.addEventListener('click', () => {
+  audio.unlock();
+  const state = saveGame.load();
+  game.stopDemo();
+  startScreen.classList.add('hidden');
+  startCountdown(() => {
+    try {
+      game.resume(state);
+    } catch (e) {
+      // 存档与当前版本不兼容时放弃存档，开始新游戏
+      console.warn('Failed to resume saved game:', e);
+      saveGame.clear();
+      game.setMode('single');
+      game.start();
+    }
+    showHud();
+  });
+});
+
+// 有可用存档时才显示继续按钮
+if (!saveGame.load()) {
+  continueBtn.classList.add('gone');
+}
+
+// 排行榜署名表单提交：写入排行榜并高亮新成绩
+nameEntry.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (!pendingEntry) return;
+  const rank = highScores.submit({ ...pendingEntry, name: playerNameInput.value });
+  pendingEntry = null;
+  nameEntry.classList.add('gone');
+  showLeaderboard(rank);
+});
+
 // 重新开始按钮点击事件
 restartBtn.addEventListener('click', () => {
   gameOverScreen.classList.add('hidden'); // 隐藏游戏结束界面
@@ -148,3 +834,15 @@ nextLevelBtn.addEventListener('click', () => {
   startCountdown(() => game.nextLevel()); // 开始倒计时，结束后进入下一关
 });
 
+// 对战结算界面：下一回合（下一关），或返回开始界面
+nextRoundBtn.addEventListener('click', () => {
+  winnerScreen.classList.add('hidden');
+  startCountdown(() => game.nextLevel());
+});
+menuBtn.addEventListener('click', () => {
+  winnerScreen.classList.add('hidden');
+  game.stop();
+  startScreen.classList.remove('hidden');
+  game.startDemo();
+});
+